@@ -1,22 +1,98 @@
 /**
  * LikeInk Designer - Custom Tattoo Sheet Designer
- * A5 sheet with 5mm bleed area
+ * Sheet formats from the product catalog, each with its own bleed area
  */
 
 // Physical dimensions
-// A5 sheet: 210mm × 148mm at 300 DPI
-const A5_LONG_SIDE_MM = 210;
-const A5_SHORT_SIDE_MM = 148;
-const BLEED_MM = 5;
-const MM_TO_PIXELS = 300 / 25.4; // 300 DPI conversion
-
-// const canvas.width = Math.round(A5_LONG_SIDE_MM * MM_TO_PIXELS); // 2480 pixels
-// const canvas.height = Math.round(A5_SHORT_SIDE_MM * MM_TO_PIXELS); // 1748 pixels
-const BLEED_PIXELS = Math.round(BLEED_MM * MM_TO_PIXELS); // ~59 pixels
+// Objects are laid out in a 300 DPI virtual space regardless of the sheet format
+const DESIGN_DPI = 300;
+const MM_TO_PIXELS = DESIGN_DPI / 25.4; // 300 DPI conversion
+
+// Product catalog of sheet formats (long side first, orientation is applied on top).
+// Transfer products are printed mirrored (mirror: true), stickers are printed as designed.
+const SHEET_FORMATS = {
+    a5: { label: 'A5', longSideMm: 210, shortSideMm: 148, bleedMm: 5, dpi: 300, mirror: true },
+    a4: { label: 'A4', longSideMm: 297, shortSideMm: 210, bleedMm: 5, dpi: 300, mirror: true },
+    a6: { label: 'A6', longSideMm: 148, shortSideMm: 105, bleedMm: 4, dpi: 300, mirror: true },
+    square100: { label: 'Square', longSideMm: 100, shortSideMm: 100, bleedMm: 4, dpi: 300, mirror: true },
+    a5sticker: { label: 'A5 Sticker', longSideMm: 210, shortSideMm: 148, bleedMm: 3, dpi: 300, mirror: false },
+    custom: { label: 'Custom size', longSideMm: 150, shortSideMm: 100, bleedMm: 5, dpi: 300, mirror: true, custom: true }
+};
+const DEFAULT_SHEET_FORMAT = 'a5';
+const CUSTOM_SHEET_MIN_MM = 30;
+const CUSTOM_SHEET_MAX_MM = 420;
 const BLEED_OPACITY = 0.95; // Opacity for bleed overlays
 const DUPLICATION_OFFSET = 50; // Offset in pixels when duplicating objects
 const PLACEMENT_PADDING = 20; // Extra padding inside bleed edge for auto-placement
 const PLACEMENT_GUTTER = 12; // Minimum gap to keep between placed objects
+const MIN_EFFECTIVE_DPI = 150; // Images printed below this resolution look visibly blurry
+
+// Background removal in the upload dialog
+const BACKGROUND_DEFAULT_TOLERANCE = 20; // % of the largest colour distance
+const BACKGROUND_KEY_QUANTIZE = 16; // Edge colours are grouped in bins of this size to find the background
+const BACKGROUND_TRANSPARENT_ALPHA = 16; // Pixels less opaque than this already count as background
+
+// Auto-trim of empty image margins on import
+const TRIM_ALPHA_THRESHOLD = 8; // Pixels less opaque than this count as empty
+const TRIM_WHITE_THRESHOLD = 245; // Channels at least this bright count as white when trimming white margins
+
+// Raster-to-vector tracing in the upload dialog
+const TRACE_MAX_SIZE = 2000; // Longest side traced, larger artwork is scaled down first
+const TRACE_PREVIEW_DELAY = 200; // Debounce in ms before the traced preview is redrawn
+const TRACE_CORNER_ANGLE = 60; // Turns sharper than this (degrees) stay corners, each smoothing step adds 12°
+
+// Stencil / line-art filters, applied non-destructively as Fabric image filters
+const DEFAULT_IMAGE_FILTER_SETTINGS = {
+    mode: 'none', // 'none' | 'threshold' | 'posterize'
+    threshold: 128, // Luminance (0-255) separating black from white
+    levels: 4, // Ink tones when posterizing
+    contrast: 0, // -100 to 100
+    brightness: 0, // -100 to 100
+    invert: false
+};
+
+// Cut contours (die-cut lines around each design)
+const CUT_CONTOUR_DEFAULT_OFFSET_MM = 2;
+const CUT_CONTOUR_MAX_OFFSET_MM = 10;
+const CUT_CONTOUR_RESOLUTION = 0.5; // Trace samples per design pixel
+const CUT_CONTOUR_MAX_SIZE = 1024; // Largest offscreen canvas side used for tracing
+const CUT_CONTOUR_ALPHA_THRESHOLD = 32; // Pixels at least this opaque count as artwork
+const CUT_CONTOUR_TOLERANCE = 0.75; // Simplification tolerance in trace samples
+const CUT_CONTOUR_CACHE_LIMIT = 200; // Traced shapes kept for reuse
+const CUT_CONTOUR_SPOT_COLOR = 'CutContour'; // Spot colour name expected by cutters and RIPs
+const CUT_CONTOUR_DISPLAY_COLOR = '#ec008c';
+
+// Outline effect (white or coloured sticker border around a design)
+const OUTLINE_DEFAULT_COLOR = '#ffffff';
+const OUTLINE_MAX_WIDTH_MM = 10;
+const OUTLINE_RESOLUTION = 1; // Outline bitmap pixels per design pixel
+const OUTLINE_MAX_SIZE = 2048; // Largest outline bitmap side
+const OUTLINE_ALPHA_THRESHOLD = 32; // Pixels at least this opaque get an outline
+const OUTLINE_CACHE_LIMIT = 20; // Outline bitmaps kept for reuse
+
+// Grid and snapping
+const GRID_DEFAULT_SIZE_MM = 5;
+const GRID_MIN_SIZE_MM = 1;
+const GRID_MAX_SIZE_MM = 50;
+const GRID_MAJOR_EVERY = 5; // Every nth grid line is drawn darker
+const GRID_COLOR = 'rgba(0, 120, 215, 0.12)';
+const GRID_MAJOR_COLOR = 'rgba(0, 120, 215, 0.3)';
+const SNAP_DISTANCE = 8; // Screen pixels within which edges snap
+const SNAP_GUIDE_COLOR = '#00b8d4';
+
+// Auto Fill targets
+const DEFAULT_FILL_TARGET = { mode: 'weight', count: 1, weight: 1 }; // See resolveFillTarget
+const FILL_THUMBNAIL_SIZE = 48; // Longest side of the design previews in the fill dialog
+
+// True-shape nesting
+const NESTING_WORKER_URL = 'js/nesting-worker.js';
+const NESTING_CELL_MM = 0.5; // Grid resolution silhouettes are nested on
+const NESTING_MAX_GRID_SIZE = 1000; // Longest grid side in cells, large sheets use coarser cells
+const NESTING_ALPHA_THRESHOLD = 1; // Any coverage makes a cell part of the silhouette
+
+// Layers panel
+const LAYER_THUMBNAIL_SIZE = 32; // Longest side of the layer previews
+const LAYER_THUMBNAIL_CACHE_LIMIT = 200; // Previews kept for reuse (copies share one)
 const SVG_API_BASE_URL = 'https://api.svgapi.com/v1';
 const SVG_API_DOMAIN_KEY = window.svgApiDomainKey || 'Ty5WcDa63E'; // Public demo key
 const SYMBOLS_PAGE_SIZE = 18; // SVG API limit is 20
@@ -25,13 +101,46 @@ const SYMBOLS_PAGE_SIZE = 18; // SVG API limit is 20
 let canvas;
 let bleedOverlays = [];
 let textMeasurementHelper = null; // Reused Fabric text instance for measurements
-let lastOrientationIsLandscape = null; // Track orientation to trigger reflow on change
+
+// Sheet format state
+let currentSheetFormatId = DEFAULT_SHEET_FORMAT;
+let sheetOrientation = 'landscape'; // 'landscape' | 'portrait', part of the design (not the window)
+let mirrorPreviewEnabled = false; // Canvas shown mirrored as printed (view only, not part of the design)
+let cutContourOffsetMm = CUT_CONTOUR_DEFAULT_OFFSET_MM; // Distance of cut lines from the artwork, part of the design
+let cutContoursVisible = false; // Cut line overlay shown on the canvas (view only)
+let cutContourTimeout = null;
+const cutContourCache = new Map(); // Shape key -> polygons relative to the object centre
+const outlineCache = new Map(); // Outline and shape key -> outline bitmap
+const outlineObjectCache = new WeakMap(); // Object -> last outline bitmap, skips shape keys while unchanged
+let transformUnit = 'mm'; // 'mm' | 'cm', unit of the transform panel
+let transformAspectLocked = true; // Width and height change together in the transform panel
+let gridVisible = false; // Millimetre grid shown (view setting, designs snap to it while shown)
+let gridSizeMm = GRID_DEFAULT_SIZE_MM;
+let snapEnabled = true; // Snap to the grid, other designs and the safe area while transforming
+let snapGuides = []; // [{ axis: 'x' | 'y', position }] lines shown while an object is snapped
+let nestingModeEnabled = false; // Auto Fill nests designs by their actual shape (view setting)
+let activeNestingJob = null; // { cancel } while the nesting worker runs
+let layersPanelTimeout = null;
+const layerThumbnailCache = new Map(); // Shape key -> layer preview data URL
+const layerRowObjects = new WeakMap(); // Layers panel row -> canvas object
+let customSheetSize = {
+    longSideMm: SHEET_FORMATS.custom.longSideMm,
+    shortSideMm: SHEET_FORMATS.custom.shortSideMm
+};
 
 // Upload dialog state
 let uploadDialog;
 let currentImageData = null; // Store current image data for the dialog
 let currentImageFile = null; // Store current file
 let activeDialogMode = 'image';
+let previewEditor = null; // Editable preview of the dialog image (background removal, filters): { ctx, source, result, mask, edited }
+let backgroundBrushMode = null; // 'erase' | 'restore' | null
+let currentImageTrim = null; // Artwork bounds of the dialog image: { left, top, width, height, sourceWidth, sourceHeight }
+let uploadFilterControls = null; // Stencil filter controls of the upload preview
+let adjustFilterControls = null; // Stencil filter controls of the adjust image dialog
+let adjustedImage = null; // Image edited in the adjust image dialog
+let adjustedImageFilters = null; // Its filters when the dialog was opened, restored on cancel
+let tracePreviewTimeout = null;
 
 // Symbols tab state
 const symbolUI = {
@@ -69,14 +178,56 @@ let symbolSearchController = null;
 let undoStack = [];
 let redoStack = [];
 const MAX_HISTORY = 20; // Maximum number of states to keep
+const SERIALIZED_OBJECT_PROPERTIES = ['name', 'outline', 'allowRotate', 'userGroup', 'layerName', 'locked']; // Custom object properties kept in saved states
 let isRestoring = false; // Flag to prevent saving state during restore
 let saveStateTimeout = null; // Debounce timeout for saveState
 
+// Document model: a design is a list of sheets, each with its own undo history.
+// The active sheet lives on the canvas and its history in undoStack/redoStack.
+let documentSheets = []; // [{ id, name, undoStack, redoStack }]
+let activeSheetIndex = 0;
+let sheetIdCounter = 0;
+let isSwitchingSheet = false;
+let documentDesignId = createDesignId(); // Identifies the design in exported files, kept in projects and autosave
+
+// Multi-sheet exports are bundled into one ZIP archive
+const ZIP_VERSION = 20; // 2.0: stored entries
+const ZIP_UTF8_FLAG = 0x0800;
+let crc32Table = null; // Built on first use
+
+// Autosave (IndexedDB) for crash recovery
+const AUTOSAVE_DB_NAME = 'likeink-designer';
+const AUTOSAVE_DB_VERSION = 1;
+const AUTOSAVE_STORE = 'autosave';
+const AUTOSAVE_KEY = 'current';
+const AUTOSAVE_DELAY = 1000; // Debounce in ms between autosave writes
+const AUTOSAVE_IMAGE_REF_PREFIX = 'likeink-image:'; // Replaces image data URLs stored as blobs
+let autosaveEnabled = false; // Enabled once any previous design has been restored or discarded
+let autosaveTimeout = null;
+let autosaveDbPromise = null;
+let pendingAutosaveRecord = null; // Record offered in the restore prompt
+
+// Print-ready PDF export
+const PT_PER_MM = 72 / 25.4;
+const PDF_SLUG_MM = 12; // Minimum margin around the trim for crop marks
+const PDF_CROP_MARK_LENGTH_MM = 6;
+const PDF_CROP_MARK_OFFSET_MM = 2; // Gap between trim (or bleed) edge and crop mark
+
+// PNG export metadata
+const PNG_SIGNATURE_LENGTH = 8;
+const INCH_TO_METERS = 0.0254;
+
+// Project files (.likeink)
+const PROJECT_FILE_FORMAT = 'likeink-project';
+const PROJECT_FILE_VERSION = 2; // 2: multiple sheets per project
+const PROJECT_FILE_EXTENSION = '.likeink';
+
 /**
- * Check if an object is a bleed-related object
+ * Check if an object is a sheet guide (bleed overlays, safe area or cut contour overlay)
+ * rather than part of the design
  */
 function isBleedObject(obj) {
-    return obj && (obj.name === 'bleedOverlay' || obj.name === 'bleedArea');
+    return obj && (obj.name === 'bleedOverlay' || obj.name === 'bleedArea' || obj.name === 'cutContour');
 }
 
 /**
@@ -87,9 +238,107 @@ function getUserObjects() {
 }
 
 /**
- * Scale canvas size and zoom level based on current container width and window orientation
+ * Get the active sheet format from the product catalog (custom sizes resolved)
+ */
+function getSheetFormat() {
+    return resolveSheetSettings(getSheetSettings()).format;
+}
+
+/**
+ * Get the sheet size in mm for the current sheet orientation
+ * @returns {{widthMm: number, heightMm: number}}
+ */
+function getSheetSizeMm() {
+    const { widthMm, heightMm } = resolveSheetSettings(getSheetSettings());
+    return { widthMm, heightMm };
+}
+
+/**
+ * Resolve sheet settings (active or from a saved state) to a catalog format, a size in mm
+ * and the cut contour offset
+ * @param {{format?: string, orientation?: string, customSize?: {longSideMm: number, shortSideMm: number}, cutOffsetMm?: number}} settings
+ * @returns {{format: Object, widthMm: number, heightMm: number, cutOffsetMm: number}}
+ */
+function resolveSheetSettings(settings = {}) {
+    let format = SHEET_FORMATS[settings.format] || SHEET_FORMATS[DEFAULT_SHEET_FORMAT];
+    if (format.custom) {
+        const customSize = settings.customSize && Number.isFinite(settings.customSize.longSideMm) && Number.isFinite(settings.customSize.shortSideMm)
+            ? settings.customSize
+            : customSheetSize;
+        format = { ...format, longSideMm: customSize.longSideMm, shortSideMm: customSize.shortSideMm };
+    }
+
+    const isLandscape = settings.orientation !== 'portrait';
+    return {
+        format,
+        widthMm: isLandscape ? format.longSideMm : format.shortSideMm,
+        heightMm: isLandscape ? format.shortSideMm : format.longSideMm,
+        cutOffsetMm: Number.isFinite(settings.cutOffsetMm) ? settings.cutOffsetMm : CUT_CONTOUR_DEFAULT_OFFSET_MM
+    };
+}
+
+/**
+ * Get the sheet settings that belong to the design (stored with every undo state)
+ */
+function getSheetSettings() {
+    return {
+        format: currentSheetFormatId,
+        orientation: sheetOrientation,
+        customSize: { ...customSheetSize },
+        cutOffsetMm: cutContourOffsetMm
+    };
+}
+
+/**
+ * Apply sheet settings from a saved state without reflowing objects
+ * (the saved objects are already laid out for these settings)
+ * @param {{format?: string, orientation?: string, customSize?: {longSideMm: number, shortSideMm: number}, cutOffsetMm?: number}} settings
+ */
+function applySheetSettings(settings) {
+    if (!settings) return;
+
+    const format = SHEET_FORMATS[settings.format] ? settings.format : DEFAULT_SHEET_FORMAT;
+    const orientation = settings.orientation === 'portrait' ? 'portrait' : 'landscape';
+    const customSize = settings.customSize && Number.isFinite(settings.customSize.longSideMm) && Number.isFinite(settings.customSize.shortSideMm)
+        ? { longSideMm: settings.customSize.longSideMm, shortSideMm: settings.customSize.shortSideMm }
+        : customSheetSize;
+
+    const changed = format !== currentSheetFormatId ||
+        orientation !== sheetOrientation ||
+        customSize.longSideMm !== customSheetSize.longSideMm ||
+        customSize.shortSideMm !== customSheetSize.shortSideMm;
+
+    currentSheetFormatId = format;
+    sheetOrientation = orientation;
+    customSheetSize = customSize;
+
+    if (Number.isFinite(settings.cutOffsetMm) && settings.cutOffsetMm !== cutContourOffsetMm) {
+        cutContourOffsetMm = settings.cutOffsetMm;
+        updateCutContourControls();
+        scheduleCutContourUpdate();
+    }
+
+    if (changed) {
+        scaleCanvas({ force: true });
+        updateSheetFormatControls();
+        updateSliderRange();
+        updateTextWidth();
+    }
+}
+
+/**
+ * Get the bleed width of the active sheet format in virtual pixels
+ */
+function getBleedPixels() {
+    return Math.round(getSheetFormat().bleedMm * MM_TO_PIXELS);
+}
+
+/**
+ * Scale canvas size and zoom level so the sheet fits the available space.
+ * The sheet orientation is a property of the design, so the window shape only affects the zoom.
+ * @param {{force?: boolean}} options - force a rebuild even if the size barely changed (e.g. new sheet format)
  */
-function scaleCanvas() {
+function scaleCanvas({ force = false } = {}) {
     const canvasWrapper = document.querySelector('.canvas-wrapper');
     if (!canvasWrapper || !canvas) return;
 
@@ -101,18 +350,16 @@ function scaleCanvas() {
     const paddingRight = parseFloat(computedStyle.paddingRight) || 0;
     const rulerWidth = 30 + 5; // Approximate ruler width is 30 px + 5px margin
     const availableWidth = containerWidth - paddingLeft - paddingRight - rulerWidth;
+    // Keep the whole sheet visible vertically as well (e.g. portrait sheet on a landscape screen)
+    const availableHeight = Math.max(window.innerHeight * 0.75 - rulerWidth, 200);
 
-    // Calculate virtual canvas size in mm and pixels (A5 size)
-    const isWindowLandscape = window.innerWidth > window.innerHeight;
-    const orientationChanged = lastOrientationIsLandscape !== null && lastOrientationIsLandscape !== isWindowLandscape;
-    lastOrientationIsLandscape = isWindowLandscape;
-    const canvas_virtual_width_mm = isWindowLandscape ? A5_LONG_SIDE_MM : A5_SHORT_SIDE_MM;
-    const canvas_virtual_height_mm = isWindowLandscape ? A5_SHORT_SIDE_MM : A5_LONG_SIDE_MM;
+    // Calculate virtual canvas size in mm and pixels (active sheet format and orientation)
+    const { widthMm: canvas_virtual_width_mm, heightMm: canvas_virtual_height_mm } = getSheetSizeMm();
     const canvas_virtual_width_px = canvas_virtual_width_mm * MM_TO_PIXELS;
     const canvas_virtual_height_px = canvas_virtual_height_mm * MM_TO_PIXELS;
 
-    // Calculate scale based on available width
-    let canvasScale = availableWidth / canvas_virtual_width_px;
+    // Calculate scale based on available width and height
+    let canvasScale = Math.min(availableWidth / canvas_virtual_width_px, availableHeight / canvas_virtual_height_px);
     canvasScale = Math.max(0.18, Math.min(1.0, canvasScale)); // Clamp between 20% and 100%
 
     // Update canvas dimensions
@@ -120,11 +367,11 @@ function scaleCanvas() {
     const newHeight = Math.round(canvas_virtual_height_px * canvasScale);
     const sizeChanged = Math.abs(canvas.width - newWidth) >= 10 || Math.abs(canvas.height - newHeight) >= 10;
 
-    if (!sizeChanged && !orientationChanged) {
+    if (!sizeChanged && !force) {
         return;
     }
 
-    if (sizeChanged) {
+    if (sizeChanged || force) {
         canvas.setDimensions({ width: newWidth, height: newHeight });
     }
     canvas.setZoom(canvasScale);
@@ -138,22 +385,17 @@ function scaleCanvas() {
     canvas.renderAll();
 
     console.log(`Canvas scaled to: ${newWidth}x${newHeight} pixels at ${Math.round(canvasScale * 100)}%`);
-
-    if (orientationChanged) {
-        console.log('Orientation changed, reflowing objects into safe area.');
-        reflowObjectsIntoSafeArea();
-    }
 }
 
 /**
  * Initialize the Fabric.js canvas
  */
 function initCanvas() {
-
-    // Begin by initializing canvas full size landscape mode
-    canvas = new fabric.Canvas('designer-canvas', {
-        width: Math.round(A5_LONG_SIDE_MM * MM_TO_PIXELS),
-        height: Math.round(A5_SHORT_SIDE_MM * MM_TO_PIXELS),
+    // Begin by initializing canvas at full size in the sheet orientation
+    const { widthMm, heightMm } = getSheetSizeMm();
+    canvas = new OutlinedCanvas('designer-canvas', {
+        width: Math.round(widthMm * MM_TO_PIXELS),
+        height: Math.round(heightMm * MM_TO_PIXELS),
         backgroundColor: '#ffffff',
         preserveObjectStacking: true
     });
@@ -178,7 +420,57 @@ function initCanvas() {
     canvas.on('object:modified', saveState);
     canvas.on('object:removed', saveState);
 
-    // Save initial state
+    // The packing report only describes the sheet as it was packed
+    ['object:added', 'object:removed', 'object:modified'].forEach(eventName => {
+        canvas.on(eventName, ({ target }) => {
+            if (!isRestoring && !isBleedObject(target)) clearSheetUtilization();
+        });
+    });
+
+    // Snapping with guide lines while moving and scaling, and the millimetre grid
+    canvas.on('object:moving', snapMovingObject);
+    canvas.on('object:scaling', snapScalingObject);
+    canvas.on('mouse:up', clearSnapGuides);
+    canvas.on('after:render', drawSnapGrid);
+
+    // Print resolution of selected images and badges on low-resolution images
+    canvas.on('object:scaling', updateSelectionInfo);
+    canvas.on('object:modified', updateSelectionInfo);
+    canvas.on('after:render', drawLowResolutionBadges);
+    canvas.on('after:render', drawSnapGuides);
+
+    // Keep the transform panel in step with the selection while it is dragged
+    ['object:moving', 'object:scaling', 'object:rotating', 'object:modified'].forEach(eventName => {
+        canvas.on(eventName, () => updateTransformPanel());
+    });
+
+    // Keep the cut contour overlay in sync with the designs
+    ['object:added', 'object:removed', 'object:modified', 'object:moving', 'object:scaling', 'object:rotating'].forEach(eventName => {
+        canvas.on(eventName, ({ target }) => {
+            if (!isBleedObject(target)) scheduleCutContourUpdate();
+        });
+    });
+
+    // Keep the layers panel in step with the designs and the selection
+    ['object:added', 'object:removed', 'object:modified'].forEach(eventName => {
+        canvas.on(eventName, ({ target }) => {
+            if (!isBleedObject(target)) scheduleLayersPanelUpdate();
+        });
+    });
+    ['selection:created', 'selection:updated', 'selection:cleared'].forEach(eventName => {
+        canvas.on(eventName, updateLayersSelection);
+    });
+
+    // Locked layers stay locked when they are restored or copied
+    canvas.on('object:added', ({ target }) => {
+        if (target.locked) applyLayerLock(target);
+    });
+
+    // Start a document with a single sheet, then save its initial state
+    documentSheets = [createSheetRecord('Sheet 1')];
+    activeSheetIndex = 0;
+    syncActiveSheetHistory();
+    renderSheetTabs();
     saveState();
 }
 
@@ -187,6 +479,8 @@ function initCanvas() {
  * Removes any existing bleed area objects before creating new ones.
  */
 function createBleedArea() {
+    const bleedPixels = getBleedPixels();
+
     canvas.getObjects()
         .filter(obj => isBleedObject(obj))
         .forEach(obj => {
@@ -200,7 +494,7 @@ function createBleedArea() {
         left: 0,
         top: 0,
         width: canvas.width / canvas.getZoom(),
-        height: BLEED_PIXELS,
+        height: bleedPixels,
         fill: 'white',
         opacity: BLEED_OPACITY,
         selectable: false,
@@ -211,9 +505,9 @@ function createBleedArea() {
     // Bottom bleed overlay
     canvas.add(new fabric.Rect({
         left: 0,
-        top: (canvas.height / canvas.getZoom()) - BLEED_PIXELS,
+        top: (canvas.height / canvas.getZoom()) - bleedPixels,
         width: canvas.width / canvas.getZoom(),
-        height: BLEED_PIXELS,
+        height: bleedPixels,
         fill: 'white',
         opacity: BLEED_OPACITY,
         selectable: false,
@@ -224,9 +518,9 @@ function createBleedArea() {
     // Left bleed overlay
     canvas.add(new fabric.Rect({
         left: 0,
-        top: BLEED_PIXELS,
-        width: BLEED_PIXELS,
-        height: (canvas.height / canvas.getZoom()) - (BLEED_PIXELS * 2),
+        top: bleedPixels,
+        width: bleedPixels,
+        height: (canvas.height / canvas.getZoom()) - (bleedPixels * 2),
         fill: 'white',
         opacity: BLEED_OPACITY,
         selectable: false,
@@ -236,10 +530,10 @@ function createBleedArea() {
 
     // Right bleed overlay
     canvas.add(new fabric.Rect({
-        left: (canvas.width / canvas.getZoom()) - BLEED_PIXELS,
-        top: BLEED_PIXELS,
-        width: BLEED_PIXELS,
-        height: (canvas.height / canvas.getZoom()) - (BLEED_PIXELS * 2),
+        left: (canvas.width / canvas.getZoom()) - bleedPixels,
+        top: bleedPixels,
+        width: bleedPixels,
+        height: (canvas.height / canvas.getZoom()) - (bleedPixels * 2),
         fill: 'white',
         opacity: BLEED_OPACITY,
         selectable: false,
@@ -249,10 +543,10 @@ function createBleedArea() {
 
     // Red dashed line showing the safe area boundary
     canvas.add(new fabric.Rect({
-        left: BLEED_PIXELS,
-        top: BLEED_PIXELS,
-        width: (canvas.width / canvas.getZoom()) - (BLEED_PIXELS * 2),
-        height: (canvas.height / canvas.getZoom()) - (BLEED_PIXELS * 2),
+        left: bleedPixels,
+        top: bleedPixels,
+        width: (canvas.width / canvas.getZoom()) - (bleedPixels * 2),
+        height: (canvas.height / canvas.getZoom()) - (bleedPixels * 2),
         fill: 'transparent',
         stroke: '#dc3545',
         strokeWidth: 3 / canvas.getZoom(), // Scale stroke width
@@ -264,6 +558,9 @@ function createBleedArea() {
 
     // Keep them on top so bleed areas are always visible
     bringBleedObjectsToFront();
+
+    // The cut contour overlay depends on the zoom and is dropped when a state is loaded
+    scheduleCutContourUpdate();
 }
 
 /**
@@ -284,9 +581,7 @@ function createRulers() {
     rulerLeft.style.height = canvas.height + 'px';
 
     // Create top ruler (horizontal) - every 10mm
-    const isWindowLandscape = window.innerWidth > window.innerHeight;
-    const canvas_virtual_width_mm = isWindowLandscape ? A5_LONG_SIDE_MM : A5_SHORT_SIDE_MM;
-    const canvas_virtual_height_mm = isWindowLandscape ? A5_SHORT_SIDE_MM : A5_LONG_SIDE_MM;
+    const { widthMm: canvas_virtual_width_mm, heightMm: canvas_virtual_height_mm } = getSheetSizeMm();
 
     for (let mm = 0; mm <= canvas_virtual_width_mm; mm += 10) {
         const pixels = mm * MM_TO_PIXELS * canvas.getZoom();
@@ -324,6 +619,177 @@ function createRulers() {
     }
 }
 
+/**
+ * Populate the sheet format picker from the product catalog and wire up custom size inputs
+ */
+function initSheetFormatPicker() {
+    const formatSelect = document.getElementById('sheet-format-select');
+    const customWidthInput = document.getElementById('custom-width-input');
+    const customHeightInput = document.getElementById('custom-height-input');
+    const landscapeBtn = document.getElementById('orientation-landscape-btn');
+    const portraitBtn = document.getElementById('orientation-portrait-btn');
+
+    const mirrorPreviewBtn = document.getElementById('mirror-preview-btn');
+    const cutContourBtn = document.getElementById('cut-contour-btn');
+    const cutOffsetInput = document.getElementById('cut-offset-input');
+
+    if (landscapeBtn) landscapeBtn.addEventListener('click', () => setSheetOrientation('landscape'));
+    if (portraitBtn) portraitBtn.addEventListener('click', () => setSheetOrientation('portrait'));
+    if (mirrorPreviewBtn) mirrorPreviewBtn.addEventListener('click', () => setMirrorPreview(!mirrorPreviewEnabled));
+    if (cutContourBtn) cutContourBtn.addEventListener('click', () => setCutContoursVisible(!cutContoursVisible));
+    if (cutOffsetInput) {
+        cutOffsetInput.max = CUT_CONTOUR_MAX_OFFSET_MM;
+        cutOffsetInput.addEventListener('change', () => setCutContourOffset(parseFloat(cutOffsetInput.value)));
+    }
+    updateCutContourControls();
+
+    if (!formatSelect) return;
+
+    formatSelect.innerHTML = '';
+    Object.entries(SHEET_FORMATS).forEach(([id, format]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = format.custom
+            ? format.label
+            : `${format.label} (${format.longSideMm} × ${format.shortSideMm} mm)`;
+        formatSelect.appendChild(option);
+    });
+    formatSelect.value = currentSheetFormatId;
+
+    formatSelect.addEventListener('change', () => {
+        setSheetFormat(formatSelect.value);
+    });
+
+    const handleCustomSizeChange = () => {
+        const widthMm = parseFloat(customWidthInput.value);
+        const heightMm = parseFloat(customHeightInput.value);
+        if (!Number.isFinite(widthMm) || !Number.isFinite(heightMm)) return;
+        setSheetFormat('custom', { widthMm, heightMm });
+    };
+
+    if (customWidthInput && customHeightInput) {
+        customWidthInput.min = customHeightInput.min = CUSTOM_SHEET_MIN_MM;
+        customWidthInput.max = customHeightInput.max = CUSTOM_SHEET_MAX_MM;
+        customWidthInput.value = customSheetSize.longSideMm;
+        customHeightInput.value = customSheetSize.shortSideMm;
+        customWidthInput.addEventListener('change', handleCustomSizeChange);
+        customHeightInput.addEventListener('change', handleCustomSizeChange);
+    }
+
+    updateSheetFormatControls();
+}
+
+/**
+ * Switch the sheet to another catalog format, rebuilding canvas, bleed area and rulers
+ * @param {string} formatId - Key in SHEET_FORMATS
+ * @param {{widthMm: number, heightMm: number}} [customSize] - Sheet size for the custom format
+ */
+function setSheetFormat(formatId, customSize) {
+    if (!SHEET_FORMATS[formatId]) return;
+
+    currentSheetFormatId = formatId;
+    if (customSize) {
+        const clampMm = value => Math.min(CUSTOM_SHEET_MAX_MM, Math.max(CUSTOM_SHEET_MIN_MM, Math.round(value)));
+        const widthMm = clampMm(customSize.widthMm);
+        const heightMm = clampMm(customSize.heightMm);
+        customSheetSize = {
+            longSideMm: Math.max(widthMm, heightMm),
+            shortSideMm: Math.min(widthMm, heightMm)
+        };
+    }
+
+    applySheetLayoutChange();
+}
+
+/**
+ * Switch the sheet between portrait and landscape
+ * @param {'landscape'|'portrait'} orientation
+ */
+function setSheetOrientation(orientation) {
+    if (orientation !== 'landscape' && orientation !== 'portrait') return;
+    if (orientation === sheetOrientation) return;
+
+    sheetOrientation = orientation;
+    applySheetLayoutChange();
+}
+
+/**
+ * Rebuild the sheet after a format or orientation change made by the user:
+ * resizes canvas, recreates rulers and bleed area, reflows objects into the new safe area
+ * and records the change in the undo history
+ */
+function applySheetLayoutChange() {
+    scaleCanvas({ force: true });
+    reflowObjectsIntoSafeArea();
+    updateSheetFormatControls();
+    updateSliderRange();
+    updateTextWidth();
+    saveState();
+}
+
+/**
+ * Sync the format picker, custom size inputs and sheet info text with the active format
+ */
+function updateSheetFormatControls() {
+    const format = getSheetFormat();
+    const { widthMm, heightMm } = getSheetSizeMm();
+    const formatSelect = document.getElementById('sheet-format-select');
+    const customSizeControls = document.getElementById('custom-size-controls');
+    const customWidthInput = document.getElementById('custom-width-input');
+    const customHeightInput = document.getElementById('custom-height-input');
+    const sheetInfo = document.getElementById('sheet-info');
+    const bleedInfo = document.getElementById('bleed-info');
+    const landscapeBtn = document.getElementById('orientation-landscape-btn');
+    const portraitBtn = document.getElementById('orientation-portrait-btn');
+
+    if (formatSelect) formatSelect.value = currentSheetFormatId;
+    if (landscapeBtn) landscapeBtn.classList.toggle('active', sheetOrientation === 'landscape');
+    if (portraitBtn) portraitBtn.classList.toggle('active', sheetOrientation === 'portrait');
+    if (customSizeControls) customSizeControls.style.display = format.custom ? 'flex' : 'none';
+    if (customWidthInput) customWidthInput.value = customSheetSize.longSideMm;
+    if (customHeightInput) customHeightInput.value = customSheetSize.shortSideMm;
+
+    if (sheetInfo) {
+        const orientationLabel = sheetOrientation === 'landscape' ? 'Landscape' : 'Portrait';
+        sheetInfo.textContent = `📏 ${format.label} ${orientationLabel} (${widthMm}mm × ${heightMm}mm) • ${format.dpi} DPI`;
+    }
+    if (bleedInfo) {
+        bleedInfo.textContent = `Red dashed line shows ${format.bleedMm}mm bleed area - keep important elements inside`;
+    }
+
+    // Products printed unmirrored have nothing to preview
+    setMirrorPreview(mirrorPreviewEnabled);
+}
+
+/**
+ * Show the canvas mirrored as it will be printed on transfer paper. Editing is paused while
+ * previewing, since pointer positions on a mirrored canvas no longer match the objects.
+ * @param {boolean} enabled
+ */
+function setMirrorPreview(enabled) {
+    if (!canvas) return;
+
+    const isMirroredProduct = getSheetFormat().mirror;
+    const mirrorPreviewBtn = document.getElementById('mirror-preview-btn');
+    mirrorPreviewEnabled = enabled && isMirroredProduct;
+
+    if (mirrorPreviewEnabled) {
+        canvas.discardActiveObject();
+    }
+    canvas.selection = !mirrorPreviewEnabled;
+    canvas.skipTargetFind = mirrorPreviewEnabled;
+    canvas.wrapperEl.classList.toggle('mirror-preview', mirrorPreviewEnabled);
+    canvas.requestRenderAll();
+
+    if (mirrorPreviewBtn) {
+        mirrorPreviewBtn.classList.toggle('active', mirrorPreviewEnabled);
+        mirrorPreviewBtn.disabled = !isMirroredProduct;
+        mirrorPreviewBtn.title = isMirroredProduct
+            ? 'Preview the sheet mirrored as printed on transfer paper (editing is paused)'
+            : 'This product is printed unmirrored';
+    }
+}
+
 /**
  * Bring bleed area overlays to front
  */
@@ -355,9 +821,17 @@ function setupEventListeners() {
     const redoBtn = document.getElementById('redo-btn');
     const bringForwardBtn = document.getElementById('bring-forward-btn');
     const sendBackwardBtn = document.getElementById('send-backward-btn');
+    const groupBtn = document.getElementById('group-btn');
+    const ungroupBtn = document.getElementById('ungroup-btn');
     const clearBtn = document.getElementById('clear-btn');
+    const saveProjectBtn = document.getElementById('save-project-btn');
+    const projectFileInput = document.getElementById('project-file-input');
     const fillSheetBtn = document.getElementById('fill-sheet-btn');
+    const allowRotateBtn = document.getElementById('allow-rotate-btn');
+    const nestingModeBtn = document.getElementById('nesting-mode-btn');
+    const nestingCancelBtn = document.getElementById('nesting-cancel-btn');
     const addToCartBtn = document.getElementById('add-to-cart-btn');
+    const exportBtn = document.getElementById('export-btn');
 
     if (selectAllBtn) selectAllBtn.addEventListener('click', selectAll);
     if (deselectBtn) deselectBtn.addEventListener('click', deselectAll);
@@ -367,9 +841,47 @@ function setupEventListeners() {
     if (redoBtn) redoBtn.addEventListener('click', redo);
     if (bringForwardBtn) bringForwardBtn.addEventListener('click', bringForward);
     if (sendBackwardBtn) sendBackwardBtn.addEventListener('click', sendBackward);
+    if (groupBtn) groupBtn.addEventListener('click', groupSelected);
+    if (ungroupBtn) ungroupBtn.addEventListener('click', ungroupSelected);
     if (clearBtn) clearBtn.addEventListener('click', clearCanvas);
-    if (fillSheetBtn) fillSheetBtn.addEventListener('click', fillSheet);
-    if (addToCartBtn) addToCartBtn.addEventListener('click', exportToPNG);
+    if (saveProjectBtn) saveProjectBtn.addEventListener('click', saveProjectFile);
+    if (projectFileInput) projectFileInput.addEventListener('change', handleProjectFileSelect);
+    if (fillSheetBtn) fillSheetBtn.addEventListener('click', showFillDialog);
+    if (allowRotateBtn) allowRotateBtn.addEventListener('click', toggleAllowRotateForSelection);
+    if (nestingModeBtn) nestingModeBtn.addEventListener('click', () => setNestingMode(!nestingModeEnabled));
+    if (nestingCancelBtn) nestingCancelBtn.addEventListener('click', cancelNesting);
+    if (addToCartBtn) addToCartBtn.addEventListener('click', () => exportAllSheets());
+    if (exportBtn) exportBtn.addEventListener('click', showExportDialog);
+
+    // Outline effect of the selected designs
+    const outlineWidthInput = document.getElementById('outline-width-input');
+    const outlineColorInput = document.getElementById('outline-color-input');
+    if (outlineWidthInput) outlineWidthInput.addEventListener('change', applyOutlineToSelection);
+    if (outlineColorInput) outlineColorInput.addEventListener('change', applyOutlineToSelection);
+
+    // Export dialog
+    initExportDialog();
+
+    // Auto Fill dialog
+    initFillDialog();
+
+    // Grid and snapping
+    initSnapControls();
+
+    // Position, size and rotation of the selection
+    initTransformPanel();
+
+    // Align and distribute the selection
+    initAlignControls();
+
+    // Layers panel
+    initLayersPanel();
+
+    // Stencil filters of the selected image
+    initAdjustImageDialog();
+
+    // Sheet tabs
+    initSheetTabs();
 
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard);
@@ -379,6 +891,9 @@ function setupEventListeners() {
     canvasWrapper.addEventListener('dragover', handleDragOver);
     canvasWrapper.addEventListener('drop', handleDrop);
 
+    // Sheet format picker
+    initSheetFormatPicker();
+
     // Handle window resize for responsive canvas
     let resizeTimeout;
     window.addEventListener('resize', function () {
@@ -435,6 +950,8 @@ function loadImage(file) {
                     return;
                 }
 
+                trimFabricImage(img);
+
                 // Scale image to fit reasonably on canvas (max 30% of canvas width)
                 const maxWidth = canvas.width * 0.3;
                 const maxHeight = canvas.height * 0.3;
@@ -460,9 +977,12 @@ function loadImage(file) {
 }
 
 /** Arrange newly added object on canvas to avoid overlapping existing objects
- * Aims to place the object within the safe area (inside bleed edges) while avoiding overlaps
- * similar to a simple bin-packing algorithm. Prioritizes top-left placement.
+ * Places the object within the safe area (inside bleed edges) with a MaxRects packer: the free
+ * space is kept as maximal (overlapping) free rectangles and the object goes where it leaves the
+ * shortest leftover side (best short side fit), turned by 90° if that fits better and the object
+ * allows rotation. Ties go to the top-left placement.
  * @param {fabric.Object} objToArrange - The Fabric.js object to arrange on canvas
+ * @returns {boolean} Whether a free slot was found
 */
 function arrangeObjectOnCanvas(objToArrange) {
     if (!canvas || !objToArrange) return false;
@@ -470,13 +990,7 @@ function arrangeObjectOnCanvas(objToArrange) {
     const zoom = canvas.getZoom() || 1;
     const virtualWidth = canvas.width / zoom;
     const virtualHeight = canvas.height / zoom;
-
-    const safeRect = {
-        left: BLEED_PIXELS + PLACEMENT_PADDING,
-        top: BLEED_PIXELS + PLACEMENT_PADDING,
-        right: virtualWidth - BLEED_PIXELS - PLACEMENT_PADDING,
-        bottom: virtualHeight - BLEED_PIXELS - PLACEMENT_PADDING
-    };
+    const safeRect = getPlacementSafeRect();
 
     // If safe area is invalid, place at center of canvas and return early
     if (safeRect.right <= safeRect.left || safeRect.bottom <= safeRect.top) {
@@ -485,49 +999,39 @@ function arrangeObjectOnCanvas(objToArrange) {
         return false;
     }
 
-    const targetWidth = objToArrange.getScaledWidth();
-    const targetHeight = objToArrange.getScaledHeight();
-
-    // Start with the entire safe area as available space
-    let freeRects = [safeRect];
-
-    // Subtract existing objects from freeRects to find available spaces
-    const blockers = getUserObjects().filter(obj => obj !== objToArrange);
-    blockers.forEach(obj => {
-        const bounds = obj.getBoundingRect();
-        const blocker = {
-            left: bounds.left - PLACEMENT_GUTTER,
-            top: bounds.top - PLACEMENT_GUTTER,
-            right: bounds.left + bounds.width + PLACEMENT_GUTTER,
-            bottom: bounds.top + bounds.height + PLACEMENT_GUTTER
-        };
-
-        // Clamp blocker to fit within safe area
-        const clampedBlocker = clampRect(blocker, safeRect);
-        if (clampedBlocker) {
-            // Subtract the clamped blocker from freeRects to update available spaces
-            freeRects = freeRects.flatMap(rect => subtractRect(rect, clampedBlocker));
-        }
-    });
-
-    // Prune any contained rectangles to optimize free space list
-    freeRects = pruneContainedRects(freeRects);
-
-    // Sort free rectangles by their top-left position to prioritize placement
-    freeRects.sort((a, b) => (a.top - b.top) || (a.left - b.left));
+    // Outlines are part of the printed design, so they count towards its size
+    objToArrange.setCoords();
+    const bounds = getOutlinedBoundingRect(objToArrange);
+    const orientations = [{ width: bounds.width, height: bounds.height, rotate: false }];
+    if (objToArrange.allowRotate && bounds.width !== bounds.height) {
+        orientations.push({ width: bounds.height, height: bounds.width, rotate: true });
+    }
 
-    // Find the first free rectangle that can fit the image
-    const placementRect = freeRects.find(rect => {
-        const width = rect.right - rect.left;
-        const height = rect.bottom - rect.top;
-        return width >= targetWidth && height >= targetHeight;
+    // Find the best short side fit among all free rectangles (hidden designs are not printed)
+    const freeRects = getFreePlacementRects(safeRect, getUserObjects().filter(obj => obj !== objToArrange && obj.visible));
+    let best = null;
+    freeRects.forEach(rect => {
+        orientations.forEach(orientation => {
+            const leftoverX = (rect.right - rect.left) - orientation.width;
+            const leftoverY = (rect.bottom - rect.top) - orientation.height;
+            if (leftoverX < 0 || leftoverY < 0) return;
+
+            const score = [Math.min(leftoverX, leftoverY), Math.max(leftoverX, leftoverY), rect.top, rect.left];
+            const index = best ? score.findIndex((value, i) => value !== best.score[i]) : 0;
+            if (!best || (index >= 0 && score[index] < best.score[index])) {
+                best = { rect, orientation, score };
+            }
+        });
     });
 
-    // Place the image in the found free rectangle (if any)
-    if (placementRect) {
+    // Place the object in the chosen free rectangle (if any)
+    if (best) {
+        if (best.orientation.rotate) {
+            objToArrange.rotate((objToArrange.angle + 90) % 360);
+        }
         objToArrange.set({
-            left: placementRect.left + targetWidth / 2,
-            top: placementRect.top + targetHeight / 2,
+            left: best.rect.left + best.orientation.width / 2,
+            top: best.rect.top + best.orientation.height / 2,
             originX: 'center',
             originY: 'center'
         });
@@ -544,109 +1048,102 @@ function arrangeObjectOnCanvas(objToArrange) {
     });
     objToArrange.setCoords();
     return false;
+}
 
-    // Helper to clamp a rectangle within bounds
-    function clampRect(rect, bounds) {
-        const clampedRect = {
-            left: Math.max(rect.left, bounds.left),
-            top: Math.max(rect.top, bounds.top),
-            right: Math.min(rect.right, bounds.right),
-            bottom: Math.min(rect.bottom, bounds.bottom)
-        };
+/**
+ * Area available for automatic placement: the sheet inside the bleed, less the placement padding
+ * @returns {{left: number, top: number, right: number, bottom: number}}
+ */
+function getPlacementSafeRect() {
+    const bleedPixels = getBleedPixels();
+    const zoom = canvas.getZoom() || 1;
+    return {
+        left: bleedPixels + PLACEMENT_PADDING,
+        top: bleedPixels + PLACEMENT_PADDING,
+        right: canvas.width / zoom - bleedPixels - PLACEMENT_PADDING,
+        bottom: canvas.height / zoom - bleedPixels - PLACEMENT_PADDING
+    };
+}
 
-        if (clampedRect.left >= clampedRect.right || clampedRect.top >= clampedRect.bottom) {
-            return null;
-        }
-        return clampedRect;
-    }
+/**
+ * Maximal free rectangles of the safe area around the given objects (kept apart by the gutter).
+ * Every free rectangle that overlaps an object is split into the up to four largest rectangles
+ * beside, above and below it, so free rectangles may overlap each other.
+ * @param {{left: number, top: number, right: number, bottom: number}} safeRect
+ * @param {fabric.Object[]} blockers
+ * @returns {{left: number, top: number, right: number, bottom: number}[]}
+ */
+function getFreePlacementRects(safeRect, blockers) {
+    let freeRects = [safeRect];
+
+    blockers.forEach(obj => {
+        const bounds = getOutlinedBoundingRect(obj);
+        const blocker = {
+            left: bounds.left - PLACEMENT_GUTTER,
+            top: bounds.top - PLACEMENT_GUTTER,
+            right: bounds.left + bounds.width + PLACEMENT_GUTTER,
+            bottom: bounds.top + bounds.height + PLACEMENT_GUTTER
+        };
+        freeRects = pruneContainedRects(freeRects.flatMap(rect => splitFreeRect(rect, blocker)));
+    });
+    return freeRects;
 
-    // Subtract blockerRect from freeRect, returning array of resulting rectangles, example:
+    // Split freeRect around blockerRect, example:
     // freeRect: {left:0, top:0, right:100, bottom:100}
     // blockerRect: {left:30, top:30, right:70, bottom:70}
     // returns: [
+    //   {left:0, top:0, right:30, bottom:100},    // Left
+    //   {left:70, top:0, right:100, bottom:100},  // Right
     //   {left:0, top:0, right:100, bottom:30},    // Top
-    //   {left:0, top:30, right:30, bottom:70},    // Left
-    //   {left:70, top:30, right:100, bottom:70},  // Right
     //   {left:0, top:70, right:100, bottom:100}   // Bottom
     // ]
-    function subtractRect(freeRect, blockerRect) {
-        const intersection = {
-            left: Math.max(freeRect.left, blockerRect.left),
-            top: Math.max(freeRect.top, blockerRect.top),
-            right: Math.min(freeRect.right, blockerRect.right),
-            bottom: Math.min(freeRect.bottom, blockerRect.bottom)
-        };
-
-        if (intersection.left >= intersection.right || intersection.top >= intersection.bottom) {
+    function splitFreeRect(freeRect, blockerRect) {
+        if (blockerRect.left >= freeRect.right || blockerRect.right <= freeRect.left ||
+            blockerRect.top >= freeRect.bottom || blockerRect.bottom <= freeRect.top) {
             return [freeRect];
         }
 
         const result = [];
-
-        // Space above the blocker
-        if (freeRect.top < intersection.top) {
-            result.push({ left: freeRect.left, top: freeRect.top, right: freeRect.right, bottom: intersection.top });
-        }
-
-        // Space below the blocker
-        if (intersection.bottom < freeRect.bottom) {
-            result.push({ left: freeRect.left, top: intersection.bottom, right: freeRect.right, bottom: freeRect.bottom });
-        }
-
-        const middleTop = Math.max(freeRect.top, intersection.top);
-        const middleBottom = Math.min(freeRect.bottom, intersection.bottom);
-
-        if (middleBottom > middleTop) {
-            // Space to the left of the blocker
-            if (freeRect.left < intersection.left) {
-                result.push({ left: freeRect.left, top: middleTop, right: intersection.left, bottom: middleBottom });
-            }
-
-            // Space to the right of the blocker
-            if (intersection.right < freeRect.right) {
-                result.push({ left: intersection.right, top: middleTop, right: freeRect.right, bottom: middleBottom });
-            }
-        }
+        if (blockerRect.left > freeRect.left) result.push({ ...freeRect, right: blockerRect.left });
+        if (blockerRect.right < freeRect.right) result.push({ ...freeRect, left: blockerRect.right });
+        if (blockerRect.top > freeRect.top) result.push({ ...freeRect, bottom: blockerRect.top });
+        if (blockerRect.bottom < freeRect.bottom) result.push({ ...freeRect, top: blockerRect.bottom });
 
         return result.filter(rect => rect.right - rect.left > 1 && rect.bottom - rect.top > 1);
     }
 
-    // Remove rectangles that are fully contained within others
+    // Remove rectangles that are fully contained within others (keeping one of identical ones)
     function pruneContainedRects(rects) {
         return rects.filter((rect, index) => {
             return !rects.some((other, otherIdx) => {
                 if (index === otherIdx) return false;
-                return other.left <= rect.left && other.top <= rect.top &&
+                const contains = other.left <= rect.left && other.top <= rect.top &&
                     other.right >= rect.right && other.bottom >= rect.bottom;
+                const identical = other.left === rect.left && other.top === rect.top &&
+                    other.right === rect.right && other.bottom === rect.bottom;
+                return contains && (!identical || otherIdx < index);
             });
         });
     }
 }
 
 /**
- * Reflow any objects that fall outside the safe area after an orientation change.
+ * Reflow any objects that fall outside the safe area after a sheet orientation or format change.
  * Uses arrangeImageOnCanvas to find new slots for displaced items.
  */
 function reflowObjectsIntoSafeArea() {
     if (!canvas) return;
 
-    const zoom = canvas.getZoom() || 1;
-    const virtualWidth = canvas.width / zoom;
-    const virtualHeight = canvas.height / zoom;
-
-    const safeRect = {
-        left: BLEED_PIXELS + PLACEMENT_PADDING,
-        top: BLEED_PIXELS + PLACEMENT_PADDING,
-        right: virtualWidth - BLEED_PIXELS - PLACEMENT_PADDING,
-        bottom: virtualHeight - BLEED_PIXELS - PLACEMENT_PADDING
-    };
+    const safeRect = getPlacementSafeRect();
 
     if (safeRect.right <= safeRect.left || safeRect.bottom <= safeRect.top) {
         return;
     }
 
+    // Locked designs stay where they are
     const outOfBoundsObjects = getUserObjects().filter(obj => {
-        const bounds = obj.getBoundingRect(true);
+        if (obj.locked) return false;
+        const bounds = getOutlinedBoundingRect(obj);
         return bounds.left < safeRect.left ||
             bounds.top < safeRect.top ||
             (bounds.left + bounds.width) > safeRect.right ||
@@ -678,7 +1175,7 @@ function reflowObjectsIntoSafeArea() {
     if (!previousRestoringState) {
         saveState();
     }
-    console.log(`Reflowed ${outOfBoundsObjects.length} object(s) into safe area after orientation change.`);
+    console.log(`Reflowed ${outOfBoundsObjects.length} object(s) into safe area after sheet layout change.`);
     if (failedRepositions.length > 0) {
         console.warn(`${failedRepositions.length} object(s) could not be repositioned within the safe area.`);
     }
@@ -721,7 +1218,7 @@ function duplicateSelected() {
         // Clone each object individually
         let completed = 0;
         objects.forEach((obj) => {
-            obj.clone()
+            obj.clone(SERIALIZED_OBJECT_PROPERTIES)
                 .then((cloned) => {
                     // Get the absolute position on canvas (accounting for group transformation)
                     const absLeft = obj.left + activeObject.left + activeObject.width / 2;
@@ -748,7 +1245,7 @@ function duplicateSelected() {
         });
     } else {
         // Handle single object
-        activeObject.clone()
+        activeObject.clone(SERIALIZED_OBJECT_PROPERTIES)
             .then((cloned) => {
                 cloned.set({
                     left: cloned.left + DUPLICATION_OFFSET,
@@ -795,9 +1292,10 @@ function deleteSelected() {
  * Select all user objects (excluding bleed overlays)
  */
 function selectAll() {
-    const userObjects = getUserObjects();
+    // Hidden and locked layers cannot be selected
+    const userObjects = getUserObjects().filter(obj => obj.visible && obj.selectable);
 
-    if (userObjects.length === 0) return;
+    if (userObjects.length === 0 || mirrorPreviewEnabled) return;
 
     // Deselect current selection
     canvas.discardActiveObject();
@@ -822,28 +1320,133 @@ function deselectAll() {
 }
 
 /**
- * Bring selected object forward
+ * Bring the selected objects forward by one layer
  */
 function bringForward() {
-    const activeObject = canvas.getActiveObject();
-    if (!activeObject || isBleedObject(activeObject)) return;
+    const objects = canvas.getActiveObjects().filter(obj => !isBleedObject(obj));
+    if (objects.length === 0) return;
+
+    // Top-most first; objects blocked by a selected neighbour stay, so the selection keeps its order
+    const canvasObjects = canvas.getObjects();
+    objects
+        .sort((a, b) => canvasObjects.indexOf(b) - canvasObjects.indexOf(a))
+        .forEach(obj => {
+            const above = canvas.item(canvas.getObjects().indexOf(obj) + 1);
+            if (above && !objects.includes(above)) canvas.bringObjectForward(obj);
+        });
 
-    canvas.bringForward(activeObject);
+    // Ensure bleed areas stay on top
+    bringBleedObjectsToFront();
     canvas.renderAll();
+    scheduleLayersPanelUpdate();
+    saveState();
 }
 
 /**
- * Send selected object backward
+ * Send the selected objects backward by one layer
  */
 function sendBackward() {
-    const activeObject = canvas.getActiveObject();
-    if (!activeObject || isBleedObject(activeObject)) return;
+    const objects = canvas.getActiveObjects().filter(obj => !isBleedObject(obj));
+    if (objects.length === 0) return;
 
-    canvas.sendBackwards(activeObject);
+    // Bottom-most first; objects blocked by a selected neighbour stay, so the selection keeps its order
+    const canvasObjects = canvas.getObjects();
+    objects
+        .sort((a, b) => canvasObjects.indexOf(a) - canvasObjects.indexOf(b))
+        .forEach(obj => {
+            const below = canvas.item(canvas.getObjects().indexOf(obj) - 1);
+            if (below && !objects.includes(below)) canvas.sendObjectBackwards(obj);
+        });
 
     // Ensure bleed areas stay on top
     bringBleedObjectsToFront();
     canvas.renderAll();
+    scheduleLayersPanelUpdate();
+    saveState();
+}
+
+/**
+ * Combine the selected objects into one group, which then moves, packs, duplicates and is saved
+ * as a single design. Outlines move to the group, so one outline runs around the combined shape.
+ */
+function groupSelected() {
+    const activeObject = canvas.getActiveObject();
+    if (!activeObject || activeObject.type !== 'activeselection' || mirrorPreviewEnabled) return;
+
+    // Keep the stacking order of the objects inside the group
+    const canvasObjects = canvas.getObjects();
+    const objects = activeObject.getObjects()
+        .filter(obj => !isBleedObject(obj))
+        .sort((a, b) => canvasObjects.indexOf(a) - canvasObjects.indexOf(b));
+    if (objects.length < 2) return;
+
+    const index = canvasObjects.indexOf(objects[objects.length - 1]) - (objects.length - 1);
+    const outline = objects
+        .map(obj => obj.outline)
+        .filter(Boolean)
+        .reduce((widest, current) => (!widest || current.widthMm > widest.widthMm ? current : widest), null);
+
+    canvas.discardActiveObject();
+    isRestoring = true;
+    let group;
+    try {
+        objects.forEach(obj => {
+            canvas.remove(obj);
+            obj.set('outline', null);
+        });
+        group = new fabric.Group(objects, {
+            outline,
+            allowRotate: objects.every(obj => obj.allowRotate),
+            userGroup: true
+        });
+        canvas.insertAt(index, group);
+    } finally {
+        isRestoring = false;
+    }
+
+    canvas.setActiveObject(group);
+    canvas.requestRenderAll();
+    saveState();
+    updateToolbarState();
+}
+
+/**
+ * Whether an object is a group made by the user (as opposed to a multi-part SVG symbol)
+ * @param {fabric.FabricObject} obj
+ * @returns {boolean}
+ */
+function isUserGroup(obj) {
+    return obj instanceof fabric.Group && obj.type !== 'activeselection' && obj.userGroup === true;
+}
+
+/**
+ * Split the selected group back into its objects (they keep the group's outline).
+ * Only groups made with groupSelected are split, not multi-part SVG symbols.
+ */
+function ungroupSelected() {
+    const activeObject = canvas.getActiveObject();
+    if (!isUserGroup(activeObject) || mirrorPreviewEnabled) return;
+
+    const index = canvas.getObjects().indexOf(activeObject);
+    canvas.discardActiveObject();
+    isRestoring = true;
+    let objects;
+    try {
+        objects = activeObject.removeAll();
+        canvas.remove(activeObject);
+        objects.forEach(obj => {
+            if (activeObject.outline && !obj.outline) obj.set('outline', activeObject.outline);
+            obj.setCoords();
+        });
+        canvas.insertAt(index, ...objects);
+    } finally {
+        isRestoring = false;
+    }
+
+    canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas: canvas }));
+    canvas.requestRenderAll();
+    saveState();
+    updateToolbarState();
 }
 
 /**
@@ -867,65 +1470,96 @@ function clearCanvas() {
 }
 
 /**
- * Fill the sheet by re-arranging existing objects via arrangeImageOnCanvas
- * and then repeatedly cloning those originals until no more clones fit.
+ * Fill the sheet with copies of its designs. Identical copies count as one design, which is
+ * re-placed with as many copies as its fill target asks for (see runFillPlan); without targets
+ * every design gets the same share of the sheet. Copies that do not fit can spill over onto
+ * extra sheets. In nesting mode the designs are nested by their actual shape (see nestDesigns).
+ * @param {{targets?: Object[], spillOver?: boolean}} options - Targets in getFillDesigns order
  */
-async function fillSheet() {
-    const userObjects = getUserObjects();
+async function fillSheet({ targets = [], spillOver = false } = {}) {
+    if (activeNestingJob) return;
 
-    if (userObjects.length === 0) {
+    const designs = getFillDesigns();
+    if (designs.length === 0) {
         alert('Please add some images first!');
         return;
     }
 
-    isRestoring = true;
-    canvas.discardActiveObject();
+    // Large designs first leave the gaps for the small ones
+    const order = designs.map((design, index) => index)
+        .sort((a, b) => getObjectPlacementArea(designs[b].original) - getObjectPlacementArea(designs[a].original));
+    const originals = order.map(index => designs[index].original);
+    const fillTargets = order.map(index => resolveFillTarget(targets[index]));
+    const required = fillTargets.map(getRequiredCopies);
 
     try {
-        const originals = [...userObjects];
-        originals.forEach(obj => canvas.remove(obj));
+        let result = await fillActiveSheet(originals, fillTargets, {
+            replacedObjects: designs.flatMap(design => design.copies.slice(1)),
+            keepUnplaced: !spillOver
+        });
+        if (!result) return;
 
-        const placedOriginals = [];
-        const failedOriginals = [];
+        if (result.placed.every(count => count === 0)) {
+            alert('No objects could be arranged within the safe area.');
+            return;
+        }
 
-        originals.forEach(obj => {
-            canvas.add(obj);
-            const placed = arrangeObjectOnCanvas(obj);
-            if (placed) {
-                placedOriginals.push(obj);
-            } else {
-                failedOriginals.push(obj);
+        const placed = [...result.placed];
+        let spilled = originals.map((obj, index) => index).filter(index => placed[index] < required[index]);
+        let extraSheets = 0;
+        while (spillOver && spilled.length > 0) {
+            const copies = await Promise.all(spilled.map(index => originals[index].clone(SERIALIZED_OBJECT_PROPERTIES)));
+            await addSheet();
+            const spillResult = await fillActiveSheet(
+                copies,
+                spilled.map(index => resolveFillTarget({ mode: 'count', count: required[index] - placed[index] })),
+                { keepUnplaced: false }
+            );
+            if (!spillResult) break;
+
+            // Designs that do not fit on an empty sheet never will
+            if (spillResult.placed.every(count => count === 0)) {
+                await deleteSheet(activeSheetIndex, { confirmDelete: false });
+                break;
             }
-        });
-
-        if (failedOriginals.length > 0) {
-            console.warn('Some originals could not be arranged within the safe area.');
+            extraSheets++;
+            result = spillResult;
+            spilled = spilled.filter((index, i) => {
+                placed[index] += spillResult.placed[i];
+                return spillResult.placed[i] > 0 && placed[index] < required[index];
+            });
         }
 
-        if (placedOriginals.length > 0) {
-            let clonesPlacedInPass = 0;
-            do {
-                clonesPlacedInPass = 0;
-                for (const base of placedOriginals) {
-                    try {
-                        const clone = await base.clone();
-                        canvas.add(clone);
-                        const placed = arrangeObjectOnCanvas(clone);
-                        if (placed) {
-                            clonesPlacedInPass++;
-                        } else {
-                            canvas.remove(clone);
-                        }
-                    } catch (err) {
-                        console.error('Error cloning object during fillSheet:', err);
-                    }
-                }
-            } while (clonesPlacedInPass > 0);
-        } else {
-            alert('No objects could be arranged within the safe area.');
-        }
+        reportSheetUtilization(result.utilization, { extraSheets });
+        reportUnmetFillTargets(originals.map((obj, index) => ({ obj, required: required[index], placed: placed[index] })));
     } catch (err) {
         console.error('Unexpected error while filling the sheet:', err);
+        if (nestingModeEnabled) {
+            alert('True-shape nesting is not available right now. Switch off "Nest Shapes" to fill the sheet by bounding boxes.');
+        }
+    }
+}
+
+/**
+ * Pack designs onto the active sheet as one undo step
+ * @param {fabric.FabricObject[]} originals - One object per design, placed as its first copy
+ * @param {Object[]} targets - See resolveFillTarget
+ * @param {{replacedObjects?: fabric.FabricObject[], keepUnplaced?: boolean}} options - Previous copies
+ *   to remove, and whether designs that do not fit stay on the sheet (at the centre of the safe area)
+ * @returns {Promise<{placed: number[], utilization: number}|null>} null when nesting was cancelled
+ */
+async function fillActiveSheet(originals, targets, { replacedObjects = [], keepUnplaced = true } = {}) {
+    isRestoring = true;
+    canvas.discardActiveObject();
+
+    try {
+        const result = nestingModeEnabled
+            ? await nestDesigns(originals, targets, replacedObjects)
+            : await packDesignsByBoundingBox(originals, targets, replacedObjects);
+        if (result && !keepUnplaced) {
+            originals.filter((obj, index) => result.placed[index] === 0).forEach(obj => canvas.remove(obj));
+        }
+        return result;
     } finally {
         canvas.requestRenderAll();
         bringBleedObjectsToFront();
@@ -935,70 +1569,328 @@ async function fillSheet() {
 }
 
 /**
- * Export canvas to PNG (excluding bleed overlays)
+ * Re-arrange the designs via arrangeObjectOnCanvas, cloning the originals as the fill plan asks
+ * @param {fabric.FabricObject[]} originals
+ * @param {Object[]} targets
+ * @param {fabric.FabricObject[]} replacedObjects
+ * @returns {Promise<{placed: number[], utilization: number}>}
  */
-function exportToPNG() {
-    if (!canvas) return;
+async function packDesignsByBoundingBox(originals, targets, replacedObjects) {
+    [...replacedObjects, ...originals].forEach(obj => canvas.remove(obj));
+
+    const placed = await runFillPlan(targets, async (index, copyNumber) => {
+        const base = originals[index];
+        let obj = base;
+        if (copyNumber > 0) {
+            try {
+                obj = await base.clone(SERIALIZED_OBJECT_PROPERTIES);
+            } catch (err) {
+                console.error('Error cloning object during fillSheet:', err);
+                return false;
+            }
+        }
 
-    // Make bleed overlays fully visible for export to hide overflowing objects
-    canvas.getObjects()
-        .filter(obj => obj.name === 'bleedOverlay')
-        .forEach(overlay => {
-            overlay.set('opacity', 1);
-        });
-    // Hide bleed area rectangle
-    canvas.getObjects()
-        .filter(obj => obj.name === 'bleedArea')
-        .forEach(rect => {
-            rect.set('opacity', 0);
-        });
+        canvas.add(obj);
+        if (arrangeObjectOnCanvas(obj)) return true;
+
+        // Originals that do not fit are left at the centre of the safe area
+        if (copyNumber > 0) canvas.remove(obj);
+        return false;
+    });
 
+    return { placed, utilization: getSheetUtilization() };
+}
 
-    // Mirror the canvas horizontally
-    canvas.getObjects().forEach(obj => {
-        if (!isBleedObject(obj)) {
-            obj.set('flipX', !obj.flipX);
+/**
+ * Distinct designs on the sheet: identical objects (copies from an earlier fill, possibly turned)
+ * count as one design. Hidden designs are left out, locked ones stay in place as obstacles.
+ * @returns {{original: fabric.FabricObject, copies: fabric.FabricObject[]}[]} copies includes the original
+ */
+function getFillDesigns() {
+    const designs = new Map();
+    getUserObjects().forEach(obj => {
+        if (!obj.visible || obj.locked) return;
+        const key = getObjectShapeKey(obj, ['left', 'top', 'angle']);
+        if (designs.has(key)) {
+            designs.get(key).copies.push(obj);
+        } else {
+            designs.set(key, { original: obj, copies: [obj] });
         }
     });
+    return [...designs.values()];
+}
 
-    // Force canvas background to white before export (defensive)
-    canvas.backgroundColor = '#ffffff';
-    canvas.renderAll();
+/**
+ * Complete a fill target with defaults
+ * @param {{mode?: string, count?: number, weight?: number}} [target]
+ *   mode - 'weight': a share of the sheet relative to the other weighted designs,
+ *   'count': exactly count copies, 'minimum': at least count copies, then filled like weight 1
+ * @returns {{mode: string, count: number, weight: number}}
+ */
+function resolveFillTarget(target = {}) {
+    const mode = ['weight', 'count', 'minimum'].includes(target.mode) ? target.mode : DEFAULT_FILL_TARGET.mode;
+    const count = Math.round(Number(target.count));
+    const weight = Number(target.weight);
+    return {
+        mode,
+        count: Number.isFinite(count) && count >= 1 ? count : DEFAULT_FILL_TARGET.count,
+        weight: Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_FILL_TARGET.weight
+    };
+}
 
-    // Export canvas as PNG at full resolution (300 DPI)
-    const dataURL = canvas.toDataURL({
-        format: 'png',
-        quality: 1,
-        multiplier: 1 / canvas.getZoom(), // Scale back to original 300 DPI resolution
-        enableRetinaScaling: false,
-        backgroundColor: '#ffffff' // Explicitly set white background
-    });
+/**
+ * Copies a design must get before the rest of the sheet is shared out (weighted designs need their original)
+ * @param {{mode: string, count: number}} target
+ * @returns {number}
+ */
+function getRequiredCopies(target) {
+    return target.mode === 'weight' ? 1 : target.count;
+}
 
-    // Restore objects to original state (un-mirror)
-    canvas.getObjects().forEach(obj => {
-        if (!isBleedObject(obj)) {
-            obj.set('flipX', !obj.flipX);
+/**
+ * Place copies of designs one at a time following their fill targets: first the required copies,
+ * round-robin so every design gets its turn, then further copies of the weighted designs (the one
+ * furthest below its share goes next) until none of them fits
+ * @param {{mode: string, count: number, weight: number}[]} targets
+ * @param {function(number, number): Promise<boolean|null>} placeCopy - Places copy n (0 is the original)
+ *   of design i, resolves false when it does not fit and null to cancel
+ * @returns {Promise<number[]|null>} Copies placed per design, null when cancelled
+ */
+async function runFillPlan(targets, placeCopy) {
+    const placed = targets.map(() => 0);
+    const required = targets.map(getRequiredCopies);
+
+    let pending = targets.map((target, index) => index).filter(index => required[index] > 0);
+    while (pending.length > 0) {
+        const next = [];
+        for (const index of pending) {
+            const fits = await placeCopy(index, placed[index]);
+            if (fits === null) return null;
+            if (fits) {
+                placed[index]++;
+                if (placed[index] < required[index]) next.push(index);
+            }
         }
-    });
+        pending = next;
+    }
 
-    // Restore bleed overlays and area visibility
-    canvas.getObjects()
-        .filter(obj => obj.name === 'bleedOverlay')
-        .forEach(overlay => {
-            overlay.set('opacity', BLEED_OPACITY);
-        });
-    canvas.getObjects()
-        .filter(obj => obj.name === 'bleedArea')
-        .forEach(rect => {
-            rect.set('opacity', 1);
-        });
-    canvas.renderAll();
+    const weights = targets.map(({ mode, weight }) => (mode === 'count' ? 0 : mode === 'minimum' ? 1 : weight));
+    const getShare = index => (placed[index] - (targets[index].mode === 'minimum' ? required[index] : 0)) / weights[index];
+    let pool = targets.map((target, index) => index).filter(index => weights[index] > 0 && placed[index] >= required[index]);
+    while (pool.length > 0) {
+        const index = pool.reduce((best, candidate) => (getShare(candidate) < getShare(best) ? candidate : best));
+        const fits = await placeCopy(index, placed[index]);
+        if (fits === null) return null;
+        if (fits) {
+            placed[index]++;
+        } else {
+            pool = pool.filter(other => other !== index);
+        }
+    }
+    return placed;
+}
+
+/**
+ * Tell the customer which designs did not get the copies they asked for
+ * @param {{obj: fabric.FabricObject, required: number, placed: number}[]} results
+ */
+function reportUnmetFillTargets(results) {
+    const unmet = results.filter(({ required, placed }) => placed < required);
+    if (unmet.length === 0) return;
+
+    const lines = unmet.map(({ obj, required, placed }) => `• ${getDesignLabel(obj)}: ${placed} of ${required}`);
+    alert(`Not every requested copy fits:\n${lines.join('\n')}`);
+}
+
+/**
+ * Area an object takes up when placed, including its outline
+ * @param {fabric.Object} obj
+ * @returns {number}
+ */
+function getObjectPlacementArea(obj) {
+    const bounds = getOutlinedBoundingRect(obj);
+    return bounds.width * bounds.height;
+}
 
-    // Create download link
+/**
+ * Share of the safe area covered by designs (their bounding boxes, including outlines)
+ * @returns {number} 0 to 1
+ */
+function getSheetUtilization() {
+    const safeRect = getPlacementSafeRect();
+    const safeArea = (safeRect.right - safeRect.left) * (safeRect.bottom - safeRect.top);
+    if (safeArea <= 0) return 0;
+
+    const usedArea = getUserObjects().filter(obj => obj.visible).reduce((sum, obj) => {
+        const bounds = getOutlinedBoundingRect(obj);
+        const width = Math.min(bounds.left + bounds.width, safeRect.right) - Math.max(bounds.left, safeRect.left);
+        const height = Math.min(bounds.top + bounds.height, safeRect.bottom) - Math.max(bounds.top, safeRect.top);
+        return sum + Math.max(0, width) * Math.max(0, height);
+    }, 0);
+    return Math.min(1, usedArea / safeArea);
+}
+
+/**
+ * Show how much of the sheet is used after packing
+ * @param {number} [utilization] - Share of the safe area used, measured from the bounding boxes by default
+ * @param {{extraSheets?: number}} [options] - Sheets added for copies that spilled over
+ */
+function reportSheetUtilization(utilization = getSheetUtilization(), { extraSheets = 0 } = {}) {
+    const utilizationInfo = document.getElementById('utilization-info');
+    const percent = Math.round(utilization * 100);
+    const count = getUserObjects().length;
+    const spillOver = extraSheets > 0 ? ` (spilled over onto ${extraSheets} extra sheet${extraSheets === 1 ? '' : 's'})` : '';
+
+    if (utilizationInfo) {
+        utilizationInfo.textContent = `✨ ${count} design${count === 1 ? '' : 's'} packed – ${percent}% of the printable area used${spillOver}`;
+        utilizationInfo.style.display = 'block';
+    }
+}
+
+/**
+ * Hide the packing report once the sheet has changed
+ */
+function clearSheetUtilization() {
+    const utilizationInfo = document.getElementById('utilization-info');
+    if (utilizationInfo) utilizationInfo.style.display = 'none';
+}
+
+/**
+ * Let the selected objects be turned by 90° when packed (or stop them), toggled for the whole selection
+ */
+function toggleAllowRotateForSelection() {
+    const objects = canvas.getActiveObjects().filter(obj => !isBleedObject(obj));
+    if (objects.length === 0) return;
+
+    const allowRotate = !objects.every(obj => obj.allowRotate);
+    objects.forEach(obj => obj.set('allowRotate', allowRotate));
+    saveState();
+    updateToolbarState();
+}
+
+/**
+ * Export a sheet to PNG as it will be printed (excluding bleed overlays), tagged with its
+ * print resolution so RIPs open it at true size
+ * @param {string} state - Serialized sheet state (see serializeCanvasState)
+ * @param {{fileName?: string, dpi?: number}} options
+ */
+async function exportToPNG(state, { fileName = `tattoo-design-${Date.now()}.png`, dpi } = {}) {
+    const pngBytes = await renderSheetPng(state, { dpi });
+    downloadBlob(new Blob([pngBytes], { type: 'image/png' }), fileName);
+}
+
+/**
+ * Render a sheet state to PNG bytes carrying its print resolution and sheet metadata
+ * @param {string} state - Serialized sheet state (see serializeCanvasState)
+ * @param {{dpi?: number}} options
+ * @returns {Promise<Uint8Array>}
+ */
+async function renderSheetPng(state, { dpi } = {}) {
+    const { sheet } = JSON.parse(state);
+    const { format, widthMm, heightMm } = resolveSheetSettings(sheet);
+    const outputDpi = dpi || format.dpi;
+    const renderedSheet = await renderSheetForPrint(state, { dpi: outputDpi });
+
+    return addPngMetadata(dataURLToBytes(renderedSheet.toDataURL('image/png')), outputDpi, {
+        'Software': 'LikeInk Designer',
+        'Sheet Format': `${format.label} ${widthMm} x ${heightMm} mm`,
+        'Mirrored': format.mirror ? 'yes' : 'no',
+        'Design ID': documentDesignId
+    });
+}
+
+/**
+ * Download a generated file
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
-    link.download = `tattoo-design-${Date.now()}.png`;
-    link.href = dataURL;
+    link.download = fileName;
+    link.href = url;
     link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Load a serialized sheet state into a new offscreen StaticCanvas sized for the given scale,
+ * so exports never touch the interactive canvas or the undo history.
+ * The caller disposes the returned canvas.
+ * @param {string} state - Serialized sheet state (see serializeCanvasState)
+ * @param {number} [scale=1] - Output pixels per design pixel
+ * @returns {Promise<{sheetCanvas: fabric.StaticCanvas, format: Object, widthMm: number, heightMm: number, cutOffsetMm: number}>}
+ */
+async function createOffscreenSheet(state, scale = 1) {
+    // Sheet settings are kept out of loadFromJSON, which would copy unknown keys onto the canvas
+    const { sheet, ...canvasData } = JSON.parse(state);
+    const sheetLayout = resolveSheetSettings(sheet);
+    const { widthMm, heightMm } = sheetLayout;
+
+    const sheetCanvas = new OutlinedStaticCanvas(document.createElement('canvas'), {
+        width: Math.round(widthMm * MM_TO_PIXELS * scale),
+        height: Math.round(heightMm * MM_TO_PIXELS * scale),
+        enableRetinaScaling: false,
+        renderOnAddRemove: false
+    });
+
+    try {
+        await sheetCanvas.loadFromJSON(canvasData);
+    } catch (err) {
+        sheetCanvas.dispose();
+        throw err;
+    }
+    return { sheetCanvas, ...sheetLayout };
+}
+
+/**
+ * Render a sheet as it will be printed: bleed zone masked and artwork mirrored for
+ * transfer products, rendered offscreen from its serialized state.
+ * With outerBleed the bleed zone is not masked; the artwork runs through it and on past the
+ * sheet edge by the format bleed, so the result is the sheet grown by the bleed on every side.
+ * @param {string} state - Serialized sheet state (see serializeCanvasState)
+ * @param {{dpi?: number, outerBleed?: boolean}} options - Output resolution, defaults to the DPI of the sheet format
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderSheetForPrint(state, { dpi, outerBleed = false } = {}) {
+    const { sheet } = JSON.parse(state);
+    const scale = (dpi || resolveSheetSettings(sheet).format.dpi) / DESIGN_DPI;
+    const { sheetCanvas, format } = await createOffscreenSheet(state, scale);
+
+    try {
+        const { width, height } = sheetCanvas;
+        const bleed = Math.round(format.bleedMm * MM_TO_PIXELS * scale);
+        const margin = outerBleed ? bleed : 0;
+        if (margin > 0) {
+            sheetCanvas.setDimensions({ width: width + margin * 2, height: height + margin * 2 });
+        }
+
+        // Mirror the whole sheet horizontally at the print scale (transfer products only)
+        sheetCanvas.backgroundColor = '#ffffff';
+        sheetCanvas.setViewportTransform(format.mirror
+            ? [-scale, 0, 0, scale, width + margin, margin]
+            : [scale, 0, 0, scale, margin, margin]);
+        sheetCanvas.renderAll();
+
+        const renderedSheet = document.createElement('canvas');
+        renderedSheet.width = sheetCanvas.width;
+        renderedSheet.height = sheetCanvas.height;
+        const ctx = renderedSheet.getContext('2d');
+        ctx.drawImage(sheetCanvas.getElement(), 0, 0);
+
+        if (!outerBleed) {
+            // Paint the bleed zone white to hide overflowing objects
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, bleed);
+            ctx.fillRect(0, height - bleed, width, bleed);
+            ctx.fillRect(0, bleed, bleed, height - bleed * 2);
+            ctx.fillRect(width - bleed, bleed, bleed, height - bleed * 2);
+        }
+
+        return renderedSheet;
+    } finally {
+        sheetCanvas.dispose();
+    }
 }
 
 /**
@@ -1016,21 +1908,29 @@ function saveState() {
 }
 
 /**
- * Immediately save the current state (internal use)
+ * Serialize the sheet settings and user objects (used for undo, autosave and project files)
+ * @returns {{version: string, sheet: Object, objects: Object[]}}
  */
-function saveStateImmediate() {
-    if (isRestoring || !canvas) return;
-
+function serializeCanvasState() {
     // Filter out bleed overlays before saving
     const objectsToSave = getUserObjects();
 
     // Create a temporary canvas state with only user objects 
     // bleed overlays will be re-added on restore
-    const stateData = {
+    return {
         version: canvas.version,
-        objects: objectsToSave.map(obj => obj.toJSON(['name'])),
+        sheet: getSheetSettings(),
+        objects: objectsToSave.map(obj => obj.toJSON(SERIALIZED_OBJECT_PROPERTIES)),
     };
-    const state = JSON.stringify(stateData);
+}
+
+/**
+ * Immediately save the current state (internal use)
+ */
+function saveStateImmediate() {
+    if (isRestoring || !canvas) return;
+
+    const state = JSON.stringify(serializeCanvasState());
 
     // Only save if state has changed
     if (undoStack.length === 0 || undoStack[undoStack.length - 1] !== state) {
@@ -1045,26 +1945,36 @@ function saveStateImmediate() {
         redoStack = [];
 
         updateUndoRedoButtons();
+        scheduleAutosave();
     }
 }
 
 /**
  * Restore canvas state
+ * @param {string} state - Serialized state as produced by saveStateImmediate
+ * @returns {Promise<void>} Resolves once the objects are loaded on the canvas
  */
 function restoreState(state) {
     isRestoring = true;
+    clearSheetUtilization();
+
+    // Sheet format and orientation are restored first so the canvas has the right size,
+    // and are kept out of loadFromJSON which would copy unknown keys onto the canvas
+    const { sheet, ...canvasData } = JSON.parse(state);
+    applySheetSettings(sheet);
 
     // Load the saved state 
     // State contains only user objects since the special properties of the bleed areas 
     // (like their name and not being selectable) do not survive JSON serialization well, 
     // so we re-add them after loading (also needed because loadFromJSON replaces all objects)
-    canvas.loadFromJSON(state)
+    return canvas.loadFromJSON(canvasData)
         .then((canvas) => {
             createBleedArea();
             canvas.requestRenderAll();
             isRestoring = false;
             updateToolbarState();
             updateUndoRedoButtons();
+            scheduleAutosave();
         });
 }
 
@@ -1120,12 +2030,29 @@ function updateToolbarState() {
     const deleteBtn = document.getElementById('delete-btn');
     const bringForwardBtn = document.getElementById('bring-forward-btn');
     const sendBackwardBtn = document.getElementById('send-backward-btn');
+    const groupBtn = document.getElementById('group-btn');
+    const ungroupBtn = document.getElementById('ungroup-btn');
+    const adjustImageBtn = document.getElementById('adjust-image-btn');
+    const allowRotateBtn = document.getElementById('allow-rotate-btn');
 
     if (deselectBtn) deselectBtn.disabled = !hasSelection;
     if (duplicateBtn) duplicateBtn.disabled = !hasSelection;
     if (deleteBtn) deleteBtn.disabled = !hasSelection;
     if (bringForwardBtn) bringForwardBtn.disabled = !hasSelection;
     if (sendBackwardBtn) sendBackwardBtn.disabled = !hasSelection;
+    if (groupBtn) groupBtn.disabled = !hasSelection || activeObject.type !== 'activeselection';
+    if (ungroupBtn) ungroupBtn.disabled = !isUserGroup(activeObject);
+    if (adjustImageBtn) adjustImageBtn.disabled = !getAdjustableImage();
+    if (allowRotateBtn) {
+        const selectedObjects = canvas.getActiveObjects().filter(obj => !isBleedObject(obj));
+        allowRotateBtn.disabled = !hasSelection;
+        allowRotateBtn.classList.toggle('active', hasSelection && selectedObjects.every(obj => obj.allowRotate));
+    }
+
+    updateOutlineControls();
+    updateSelectionInfo();
+    updateTransformPanel();
+    updateAlignControls();
 }
 
 /**
@@ -1172,6 +2099,29 @@ function handleKeyboard(e) {
         duplicateSelected();
     }
 
+    // Group with Ctrl/Cmd + G, ungroup with Ctrl/Cmd + Shift + G
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        if (e.shiftKey) {
+            ungroupSelected();
+        } else {
+            groupSelected();
+        }
+    }
+
+    // Align with Alt + Shift + L/C/R (left, centre, right) or T/M/B (top, middle, bottom),
+    // distribute with Alt + Shift + H/V
+    if (e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey) {
+        const alignEdges = { KeyL: 'left', KeyC: 'center', KeyR: 'right', KeyT: 'top', KeyM: 'middle', KeyB: 'bottom' };
+        if (alignEdges[e.code]) {
+            e.preventDefault();
+            alignSelection(alignEdges[e.code]);
+        } else if (e.code === 'KeyH' || e.code === 'KeyV') {
+            e.preventDefault();
+            distributeSelection(e.code === 'KeyH' ? 'horizontal' : 'vertical');
+        }
+    }
+
     // Clear with Ctrl/Cmd + Shift + C
     if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'c') {
         e.preventDefault();
@@ -1186,11 +2136,24 @@ document.addEventListener('DOMContentLoaded', function () {
     console.log('LikeInk Designer initializing');
     initCanvas();
     initUploadDialog();
+    initRestoreDialog();
 
-    // Show upload dialog after canvas is ready
-    setTimeout(() => {
-        showUploadDialog();
-    }, 500);
+    // Offer to restore an autosaved design, otherwise show upload dialog after canvas is ready
+    readAutosave()
+        .catch(error => {
+            console.warn('Unable to read autosaved design:', error);
+            return null;
+        })
+        .then(record => {
+            if (hasRestorableDesign(record)) {
+                showRestoreDialog(record);
+                return;
+            }
+            autosaveEnabled = true;
+            setTimeout(() => {
+                showUploadDialog();
+            }, 500);
+        });
 
 });
 
@@ -1259,6 +2222,9 @@ function initUploadDialog() {
     }
 
     initSymbolsTab();
+    initBackgroundRemoval();
+    uploadFilterControls = createImageFilterControls(document.getElementById('upload-filter-controls'), updatePreviewFilters);
+    initVectorTracing();
 
     // Text buttons
     if (fillSheetTextBtn) {
@@ -1318,6 +2284,12 @@ function initUploadDialog() {
         updateImageSize();
     });
 
+    // Trimming white margins is optional (transparent margins are always trimmed)
+    const trimWhiteCheckbox = document.getElementById('trim-white-checkbox');
+    if (trimWhiteCheckbox) {
+        trimWhiteCheckbox.addEventListener('change', updateDialogImageTrim);
+    }
+
     // Update slider range based on orientation
     updateSliderRange();
 
@@ -1832,25 +2804,20 @@ async function fetchSymbolSvgContent(symbol) {
     return svgText;
 }
 
-function createFabricObjectFromSvg(svgText) {
-    return new Promise((resolve, reject) => {
-        fabric.loadSVGFromString(svgText, (objects, options) => {
-            if (!objects || !objects.length) {
-                reject(new Error('SVG did not contain drawable elements.'));
-                return;
-            }
-            const obj = fabric.util.groupSVGElements(objects, options || {});
-            resolve(obj);
-        }, (error) => {
-            reject(error);
-        });
-    });
+async function createFabricObjectFromSvg(svgText) {
+    // Elements Fabric cannot parse come back as null
+    const { objects, options } = await fabric.loadSVGFromString(svgText);
+    const drawableObjects = (objects || []).filter(Boolean);
+    if (!drawableObjects.length) {
+        throw new Error('SVG did not contain drawable elements.');
+    }
+    return fabric.util.groupSVGElements(drawableObjects, options || {});
 }
 
 function positionSymbolOnCanvas(symbolObject) {
     const virtualWidth = canvas.width / canvas.getZoom();
     const virtualHeight = canvas.height / canvas.getZoom();
-    const safeAreaWidth = virtualWidth - (BLEED_PIXELS * 2);
+    const safeAreaWidth = virtualWidth - (getBleedPixels() * 2);
     const maxWidth = safeAreaWidth * 0.8;
 
     if (symbolObject.width > maxWidth) {
@@ -1870,10 +2837,9 @@ function positionSymbolOnCanvas(symbolObject) {
  */
 function updateSliderRange() {
     const sizeSlider = document.getElementById('size-slider');
-    const isWindowLandscape = window.innerWidth > window.innerHeight;
 
-    // Max width in cm: 21cm for landscape, 15cm for portrait
-    const maxCm = isWindowLandscape ? 21 : 15;
+    // Max width in cm is the sheet width (e.g. 21cm for A5 landscape, 15cm for A5 portrait)
+    const maxCm = Math.round(getSheetSizeMm().widthMm / 10);
     const minCm = 1;
 
     sizeSlider.min = minCm;
@@ -1919,13 +2885,15 @@ function showPreview(imageData) {
     const previewSection = document.getElementById('preview-section');
     const previewImage = document.getElementById('preview-image');
 
+    resetBackgroundRemoval();
     previewImage.src = imageData;
     uploadZone.style.display = 'none';
     previewSection.style.display = 'block';
 
-    // Update image size display when image loads
+    // Trim empty margins and update the image size display when the image loads
     previewImage.onload = function () {
-        updateImageSize();
+        updateDialogImageTrim();
+        updatePreviewFilters();
     };
 }
 
@@ -1939,11 +2907,16 @@ function updateImageSize() {
 
     if (!previewImage || !sizeSlider || !sizeHeightValue || !previewImage.naturalWidth) return;
 
+    // The size refers to the trimmed artwork
+    const width = currentImageTrim ? currentImageTrim.width : previewImage.naturalWidth;
+    const height = currentImageTrim ? currentImageTrim.height : previewImage.naturalHeight;
     const targetWidthCm = parseFloat(sizeSlider.value);
-    const aspectRatio = previewImage.naturalHeight / previewImage.naturalWidth;
-    const heightCm = targetWidthCm * aspectRatio;
+    const heightCm = targetWidthCm * height / width;
 
     sizeHeightValue.textContent = heightCm.toFixed(1);
+
+    // Source pixels per inch at the chosen print width
+    updatePreviewResolution(width / (targetWidthCm / 2.54));
 }
 
 /**
@@ -1958,57 +2931,77 @@ function addImageFromDialog({ closeDialog = false, fillSheetAfter = false } = {}
     const targetWidthMm = targetWidthCm * 10; // Convert cm to mm
     const targetWidthPx = targetWidthMm * MM_TO_PIXELS; // Convert mm to pixels at 300 DPI
 
-    fabric.Image.fromURL(currentImageData)
+    const traceCheckbox = document.getElementById('trace-vector-checkbox');
+    if (traceCheckbox && traceCheckbox.checked) {
+        addTracedImageFromDialog(targetWidthPx, { closeDialog, fillSheetAfter });
+        return;
+    }
+
+    fabric.Image.fromURL(getDialogImageData())
         .then((img) => {
             if (!img || !img.width || !img.height) {
                 alert('Invalid image file. Please try a different file.');
                 return;
             }
 
-            // Scale image to target width in virtual space (300 DPI)
+            // Stencil filters stay editable on the image
+            img.filters = createImageFilters(uploadFilterControls.getSettings());
+            img.applyFilters();
+
+            // Scale the trimmed artwork to target width in virtual space (300 DPI)
+            if (currentImageTrim) cropImageToBounds(img, currentImageTrim);
             const scale = targetWidthPx / img.width;
             img.scale(scale);
 
-            // Position at center of canvas in virtual coordinates
-            const virtualWidth = canvas.width / canvas.getZoom();
-            const virtualHeight = canvas.height / canvas.getZoom();
-            const safeAreaCenterX = virtualWidth / 2;
-            const safeAreaCenterY = virtualHeight / 2;
-
-            img.set({
-                left: safeAreaCenterX,
-                top: safeAreaCenterY,
-                originX: 'center',
-                originY: 'center'
-            });
-
-            // Add to canvas
-            canvas.add(img);
-            arrangeObjectOnCanvas(img);
-            canvas.setActiveObject(img);
-            canvas.renderAll();
-            updateToolbarState();
-
-            if (fillSheetAfter) {
-                // Hide dialog first
-                hideUploadDialog();
-
-                // Fill sheet after a brief delay to let the image be added
-                setTimeout(() => {
-                    fillSheet();
-                }, 100);
-            } else if (closeDialog) {
-                hideUploadDialog();
-                resetDialogForNextImage();
-            } else {
-                // Reset dialog for next image
-                resetDialogForNextImage();
-            }
+            placeDialogObject(img, { closeDialog, fillSheetAfter });
         }, {
             crossOrigin: 'anonymous'
         });
 }
 
+/**
+ * Add an object created in the upload dialog to the sheet, then close or reset the dialog
+ * @param {fabric.FabricObject} obj - Already scaled to its size on the sheet
+ * @param {{closeDialog?: boolean, fillSheetAfter?: boolean}} options
+ */
+function placeDialogObject(obj, { closeDialog = false, fillSheetAfter = false } = {}) {
+    // Position at center of canvas in virtual coordinates
+    const virtualWidth = canvas.width / canvas.getZoom();
+    const virtualHeight = canvas.height / canvas.getZoom();
+    const safeAreaCenterX = virtualWidth / 2;
+    const safeAreaCenterY = virtualHeight / 2;
+
+    obj.set({
+        left: safeAreaCenterX,
+        top: safeAreaCenterY,
+        originX: 'center',
+        originY: 'center'
+    });
+
+    // Add to canvas
+    canvas.add(obj);
+    arrangeObjectOnCanvas(obj);
+    canvas.setActiveObject(obj);
+    canvas.renderAll();
+    updateToolbarState();
+
+    if (fillSheetAfter) {
+        // Hide dialog first
+        hideUploadDialog();
+
+        // Fill sheet after a brief delay to let the image be added
+        setTimeout(() => {
+            fillSheet();
+        }, 100);
+    } else if (closeDialog) {
+        hideUploadDialog();
+        resetDialogForNextImage();
+    } else {
+        // Reset dialog for next image
+        resetDialogForNextImage();
+    }
+}
+
 /**
  * Reset dialog for adding another image
  */
@@ -2020,7 +3013,11 @@ function resetDialogForNextImage() {
     // Reset state
     currentImageData = null;
     currentImageFile = null;
+    currentImageTrim = null;
     dialogFileUpload.value = '';
+    resetBackgroundRemoval();
+    uploadFilterControls.setSettings(DEFAULT_IMAGE_FILTER_SETTINGS);
+    resetVectorTracing();
 
     // Reset UI
     uploadZone.style.display = 'block';
@@ -2258,11 +3255,10 @@ function updateTextWidth() {
     textSizeValue.textContent = widthCm.toFixed(1);
     if (textHeightValue) textHeightValue.textContent = heightCm.toFixed(1);
 
-    // Check if text exceeds safe area (canvas width minus 2x bleed of 5mm each)
-    // Determine canvas width based on window orientation (same logic as slider range)
-    const isWindowLandscape = window.innerWidth > window.innerHeight;
-    const canvasWidthMm = isWindowLandscape ? A5_LONG_SIDE_MM : A5_SHORT_SIDE_MM;
-    const safeAreaWidthMm = canvasWidthMm - (2 * BLEED_MM); // minus 10mm total bleed
+    // Check if text exceeds safe area (canvas width minus bleed on both sides)
+    // Determine canvas width based on the sheet format (same logic as slider range)
+    const canvasWidthMm = getSheetSizeMm().widthMm;
+    const safeAreaWidthMm = canvasWidthMm - (2 * getSheetFormat().bleedMm);
     const safeAreaWidthCm = safeAreaWidthMm / 10;
 
     if (widthCm > safeAreaWidthCm) {
@@ -2293,4 +3289,4753 @@ function hideUploadDialog() {
     if (uploadDialog) {
         uploadDialog.classList.remove('show');
     }
+}
+
+/* ============================================
+   BACKGROUND REMOVAL
+   ============================================ */
+
+/**
+ * Wire up the background removal controls of the upload dialog
+ */
+function initBackgroundRemoval() {
+    const removeBackgroundBtn = document.getElementById('remove-background-btn');
+    const toleranceSlider = document.getElementById('background-tolerance-slider');
+    const toleranceValue = document.getElementById('background-tolerance-value');
+    const eraseBtn = document.getElementById('brush-erase-btn');
+    const restoreBtn = document.getElementById('brush-restore-btn');
+    const brushSizeSlider = document.getElementById('brush-size-slider');
+    const brushSizeValue = document.getElementById('brush-size-value');
+    const resetBtn = document.getElementById('background-reset-btn');
+    const editCanvas = document.getElementById('preview-edit-canvas');
+
+    if (!removeBackgroundBtn || !editCanvas) return;
+
+    toleranceSlider.value = BACKGROUND_DEFAULT_TOLERANCE;
+    toleranceValue.textContent = BACKGROUND_DEFAULT_TOLERANCE;
+    toleranceSlider.addEventListener('input', () => {
+        toleranceValue.textContent = toleranceSlider.value;
+    });
+    brushSizeSlider.addEventListener('input', () => {
+        brushSizeValue.textContent = brushSizeSlider.value;
+    });
+
+    removeBackgroundBtn.addEventListener('click', () => {
+        removeImageBackground(parseFloat(toleranceSlider.value));
+    });
+    eraseBtn.addEventListener('click', () => setBackgroundBrushMode(backgroundBrushMode === 'erase' ? null : 'erase'));
+    restoreBtn.addEventListener('click', () => setBackgroundBrushMode(backgroundBrushMode === 'restore' ? null : 'restore'));
+    resetBtn.addEventListener('click', () => {
+        resetBackgroundRemoval();
+        updatePreviewFilters();
+        updateDialogImageTrim();
+    });
+
+    // Brush strokes on the edited preview
+    let lastPoint = null;
+    editCanvas.addEventListener('pointerdown', (e) => {
+        if (!backgroundBrushMode || !previewEditor) return;
+        e.preventDefault();
+        editCanvas.setPointerCapture(e.pointerId);
+        lastPoint = getEditCanvasPoint(editCanvas, e);
+        paintBackgroundMask(lastPoint, lastPoint, getBrushRadius(editCanvas, brushSizeSlider));
+    });
+    editCanvas.addEventListener('pointermove', (e) => {
+        if (!lastPoint) return;
+        const point = getEditCanvasPoint(editCanvas, e);
+        paintBackgroundMask(lastPoint, point, getBrushRadius(editCanvas, brushSizeSlider));
+        lastPoint = point;
+    });
+    ['pointerup', 'pointercancel'].forEach(eventName => {
+        editCanvas.addEventListener(eventName, () => {
+            if (lastPoint) updateDialogImageTrim();
+            lastPoint = null;
+        });
+    });
+}
+
+/**
+ * Image pixel under a pointer event on the edited preview
+ */
+function getEditCanvasPoint(editCanvas, e) {
+    const rect = editCanvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * editCanvas.width / rect.width,
+        y: (e.clientY - rect.top) * editCanvas.height / rect.height
+    };
+}
+
+/**
+ * Brush radius in image pixels (the slider sets the on-screen diameter)
+ */
+function getBrushRadius(editCanvas, brushSizeSlider) {
+    const rect = editCanvas.getBoundingClientRect();
+    return parseFloat(brushSizeSlider.value) * (editCanvas.width / rect.width) / 2;
+}
+
+/**
+ * Start editing the dialog image: copy its pixels and show the editable preview instead of the image
+ * @returns {boolean} Whether the image could be edited
+ */
+function ensurePreviewEditor() {
+    if (previewEditor) return true;
+
+    const previewImage = document.getElementById('preview-image');
+    const editCanvas = document.getElementById('preview-edit-canvas');
+    if (!previewImage || !editCanvas || !previewImage.naturalWidth) return false;
+
+    const width = previewImage.naturalWidth;
+    const height = previewImage.naturalHeight;
+    editCanvas.width = width;
+    editCanvas.height = height;
+
+    const ctx = editCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(previewImage, 0, 0);
+
+    let source;
+    try {
+        source = ctx.getImageData(0, 0, width, height);
+    } catch (err) {
+        console.error('Cannot read image pixels for background removal:', err);
+        alert('Background removal is not available for this image.');
+        return false;
+    }
+
+    previewEditor = {
+        ctx,
+        source,
+        result: new ImageData(new Uint8ClampedArray(source.data), width, height),
+        mask: new Uint8ClampedArray(width * height).fill(255), // Kept opacity of every pixel
+        edited: false
+    };
+
+    previewImage.style.display = 'none';
+    editCanvas.style.display = 'block';
+    document.getElementById('background-reset-btn').disabled = false;
+    return true;
+}
+
+/**
+ * Make the background of the dialog image transparent: flood fill from the image edges
+ * through every pixel close to the dominant edge colour
+ * @param {number} tolerance - 0-100 % of the largest colour distance
+ */
+function removeImageBackground(tolerance) {
+    if (!ensurePreviewEditor()) return;
+
+    const { source, mask } = previewEditor;
+    const { width, height } = source;
+    const keyColor = getDominantEdgeColor(source);
+    const maxDistance = Math.max(1, tolerance / 100 * Math.sqrt(3) * 255);
+    const distances = getColorDistances(source, keyColor);
+
+    // Transparent pixels always belong to the background
+    const isBackground = i => distances[i] <= maxDistance || source.data[i * 4 + 3] < BACKGROUND_TRANSPARENT_ALPHA;
+
+    const removed = new Uint8Array(width * height);
+    const stack = [];
+    const visit = i => {
+        if (!removed[i] && isBackground(i)) {
+            removed[i] = 1;
+            stack.push(i);
+        }
+    };
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width;
+        if (x > 0) visit(i - 1);
+        if (x < width - 1) visit(i + 1);
+        if (i >= width) visit(i - width);
+        if (i < width * (height - 1)) visit(i + width);
+    }
+
+    // Soften the edge: pixels next to the background fade out the closer they are to its colour
+    for (let i = 0; i < mask.length; i++) {
+        if (removed[i]) {
+            mask[i] = 0;
+            continue;
+        }
+        const x = i % width;
+        const touchesBackground = (x > 0 && removed[i - 1]) || (x < width - 1 && removed[i + 1]) ||
+            (i >= width && removed[i - width]) || (i < width * (height - 1) && removed[i + width]);
+        mask[i] = touchesBackground ? Math.min(255, Math.round((distances[i] - maxDistance) / maxDistance * 255)) : 255;
+    }
+
+    previewEditor.edited = true;
+    renderPreviewEditor(0, 0, width, height);
+    updateDialogImageTrim();
+}
+
+/**
+ * Most common colour along the image edges (grouped in coarse colour bins, then averaged)
+ * @param {ImageData} imageData
+ * @returns {number[]} [r, g, b]
+ */
+function getDominantEdgeColor(imageData) {
+    const { data, width, height } = imageData;
+    const bins = new Map();
+    const addPixel = (x, y) => {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < BACKGROUND_TRANSPARENT_ALPHA) return;
+        const step = BACKGROUND_KEY_QUANTIZE;
+        const key = `${Math.floor(data[i] / step)},${Math.floor(data[i + 1] / step)},${Math.floor(data[i + 2] / step)}`;
+        const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bin.count++;
+        bin.r += data[i];
+        bin.g += data[i + 1];
+        bin.b += data[i + 2];
+        bins.set(key, bin);
+    };
+    for (let x = 0; x < width; x++) {
+        addPixel(x, 0);
+        addPixel(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        addPixel(0, y);
+        addPixel(width - 1, y);
+    }
+
+    let best = null;
+    bins.forEach(bin => {
+        if (!best || bin.count > best.count) best = bin;
+    });
+    return best ? [best.r / best.count, best.g / best.count, best.b / best.count] : [255, 255, 255];
+}
+
+/**
+ * Euclidean RGB distance of every pixel to a colour
+ * @returns {Float32Array}
+ */
+function getColorDistances(imageData, [red, green, blue]) {
+    const { data } = imageData;
+    const distances = new Float32Array(data.length / 4);
+    for (let i = 0; i < distances.length; i++) {
+        const dr = data[i * 4] - red;
+        const dg = data[i * 4 + 1] - green;
+        const db = data[i * 4 + 2] - blue;
+        distances[i] = Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+    return distances;
+}
+
+/**
+ * Erase or restore the image along a brush stroke segment
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {number} radius - In image pixels
+ */
+function paintBackgroundMask(from, to, radius) {
+    const { source, mask } = previewEditor;
+    const { width, height } = source;
+    const value = backgroundBrushMode === 'erase' ? 0 : 255;
+
+    const left = Math.max(0, Math.floor(Math.min(from.x, to.x) - radius));
+    const top = Math.max(0, Math.floor(Math.min(from.y, to.y) - radius));
+    const right = Math.min(width, Math.ceil(Math.max(from.x, to.x) + radius));
+    const bottom = Math.min(height, Math.ceil(Math.max(from.y, to.y) + radius));
+    if (right <= left || bottom <= top) return;
+
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            if (distanceToSegment([x + 0.5, y + 0.5], [from.x, from.y], [to.x, to.y]) <= radius) {
+                mask[y * width + x] = value;
+            }
+        }
+    }
+
+    previewEditor.edited = true;
+    renderPreviewEditor(left, top, right - left, bottom - top);
+}
+
+/**
+ * Apply the mask to a region of the edited image and show it with the chosen stencil filters
+ */
+function renderPreviewEditor(left, top, regionWidth, regionHeight) {
+    const { ctx, source, result, mask } = previewEditor;
+    const { width } = source;
+
+    for (let y = top; y < top + regionHeight; y++) {
+        for (let i = y * width + left; i < y * width + left + regionWidth; i++) {
+            result.data[i * 4 + 3] = source.data[i * 4 + 3] * mask[i] / 255;
+        }
+    }
+
+    const filters = uploadFilterControls ? createImageFilters(uploadFilterControls.getSettings()) : [];
+    if (filters.length === 0) {
+        ctx.putImageData(result, 0, 0, left, top, regionWidth, regionHeight);
+        return;
+    }
+
+    const region = new ImageData(regionWidth, regionHeight);
+    for (let y = 0; y < regionHeight; y++) {
+        const start = ((top + y) * width + left) * 4;
+        region.data.set(result.data.subarray(start, start + regionWidth * 4), y * regionWidth * 4);
+    }
+    filters.forEach(filter => filter.applyTo2d({ imageData: region }));
+    ctx.putImageData(region, left, top);
+}
+
+/**
+ * Show the dialog image with the current stencil filters
+ */
+function updatePreviewFilters() {
+    const hasFilters = uploadFilterControls && createImageFilters(uploadFilterControls.getSettings()).length > 0;
+    if (!previewEditor && !(hasFilters && ensurePreviewEditor())) return;
+
+    const { width, height } = previewEditor.source;
+    renderPreviewEditor(0, 0, width, height);
+    scheduleTracePreview();
+}
+
+/**
+ * Switch the preview brush between erasing, restoring and off
+ * @param {'erase'|'restore'|null} mode
+ */
+function setBackgroundBrushMode(mode) {
+    backgroundBrushMode = mode && ensurePreviewEditor() ? mode : null;
+
+    const eraseBtn = document.getElementById('brush-erase-btn');
+    const restoreBtn = document.getElementById('brush-restore-btn');
+    const editCanvas = document.getElementById('preview-edit-canvas');
+    if (eraseBtn) eraseBtn.classList.toggle('active', backgroundBrushMode === 'erase');
+    if (restoreBtn) restoreBtn.classList.toggle('active', backgroundBrushMode === 'restore');
+    if (editCanvas) editCanvas.classList.toggle('brush-active', backgroundBrushMode !== null);
+}
+
+/**
+ * Drop all background edits and show the original image again
+ */
+function resetBackgroundRemoval() {
+    previewEditor = null;
+    setBackgroundBrushMode(null);
+
+    const previewImage = document.getElementById('preview-image');
+    const editCanvas = document.getElementById('preview-edit-canvas');
+    const resetBtn = document.getElementById('background-reset-btn');
+    if (previewImage) previewImage.style.display = '';
+    if (editCanvas) {
+        editCanvas.style.display = 'none';
+        editCanvas.width = 0;
+        editCanvas.height = 0;
+    }
+    if (resetBtn) resetBtn.disabled = true;
+}
+
+/**
+ * Image data URL to add from the dialog: the upload, or a transparent PNG once its background was edited
+ * @returns {string|null}
+ */
+function getDialogImageData() {
+    if (previewEditor && previewEditor.edited) {
+        // The preview shows filters, which are applied to the image object instead
+        const { result } = previewEditor;
+        const element = document.createElement('canvas');
+        element.width = result.width;
+        element.height = result.height;
+        element.getContext('2d').putImageData(result, 0, 0);
+        return element.toDataURL('image/png');
+    }
+    return currentImageData;
+}
+
+/* ============================================
+   AUTO-TRIM
+   ============================================ */
+
+/**
+ * Bounds of the artwork in image data, leaving out empty margins: fully transparent pixels
+ * and, optionally, near-white ones
+ * @param {ImageData} imageData
+ * @param {{trimWhite?: boolean}} [options]
+ * @returns {{left: number, top: number, width: number, height: number}|null} null if the image is empty
+ */
+function findTrimBounds(imageData, { trimWhite = false } = {}) {
+    const { data, width, height } = imageData;
+    const isEmpty = (x, y) => {
+        const i = (y * width + x) * 4;
+        return data[i + 3] < TRIM_ALPHA_THRESHOLD || (trimWhite &&
+            data[i] >= TRIM_WHITE_THRESHOLD && data[i + 1] >= TRIM_WHITE_THRESHOLD && data[i + 2] >= TRIM_WHITE_THRESHOLD);
+    };
+    const isEmptyRow = y => {
+        for (let x = 0; x < width; x++) {
+            if (!isEmpty(x, y)) return false;
+        }
+        return true;
+    };
+    const isEmptyColumn = (x, top, bottom) => {
+        for (let y = top; y < bottom; y++) {
+            if (!isEmpty(x, y)) return false;
+        }
+        return true;
+    };
+
+    let top = 0;
+    while (top < height && isEmptyRow(top)) top++;
+    if (top === height) return null;
+
+    let bottom = height;
+    while (isEmptyRow(bottom - 1)) bottom--;
+    let left = 0;
+    while (isEmptyColumn(left, top, bottom)) left++;
+    let right = width;
+    while (isEmptyColumn(right - 1, top, bottom)) right--;
+
+    return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Pixels of an image element
+ * @param {HTMLImageElement|HTMLCanvasElement} element
+ * @returns {ImageData|null} null if the pixels cannot be read
+ */
+function getImageElementData(element) {
+    const width = element.naturalWidth || element.width;
+    const height = element.naturalHeight || element.height;
+    if (!width || !height) return null;
+
+    const helper = document.createElement('canvas');
+    helper.width = width;
+    helper.height = height;
+    const ctx = helper.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(element, 0, 0);
+    try {
+        return ctx.getImageData(0, 0, width, height);
+    } catch (err) {
+        console.error('Cannot read image pixels for trimming:', err);
+        return null;
+    }
+}
+
+/**
+ * Crop a Fabric image to its artwork (non-destructive, the full source is kept)
+ * @param {fabric.FabricImage} img
+ * @param {{left: number, top: number, width: number, height: number}|null} bounds
+ */
+function cropImageToBounds(img, bounds) {
+    if (!bounds) return;
+    img.set({ cropX: bounds.left, cropY: bounds.top, width: bounds.width, height: bounds.height });
+}
+
+/**
+ * Trim empty margins from an image added without the upload dialog
+ * @param {fabric.FabricImage} img
+ */
+function trimFabricImage(img) {
+    const imageData = getImageElementData(img.getElement());
+    if (imageData) cropImageToBounds(img, findTrimBounds(imageData));
+}
+
+/**
+ * Find the artwork bounds of the dialog image (including background edits) and report the trim
+ */
+function updateDialogImageTrim() {
+    const previewImage = document.getElementById('preview-image');
+    const trimWhiteCheckbox = document.getElementById('trim-white-checkbox');
+    if (!previewImage || !previewImage.naturalWidth) return;
+
+    const imageData = previewEditor ? previewEditor.result : getImageElementData(previewImage);
+    const bounds = imageData && findTrimBounds(imageData, { trimWhite: trimWhiteCheckbox && trimWhiteCheckbox.checked });
+    currentImageTrim = {
+        sourceWidth: previewImage.naturalWidth,
+        sourceHeight: previewImage.naturalHeight,
+        ...(bounds || { left: 0, top: 0, width: previewImage.naturalWidth, height: previewImage.naturalHeight })
+    };
+
+    updateTrimReport(currentImageTrim, !bounds && !!imageData);
+    updateImageSize();
+    scheduleTracePreview();
+}
+
+/**
+ * Show how much empty margin was trimmed from the dialog image
+ */
+function updateTrimReport({ width, height, sourceWidth, sourceHeight }, isEmpty) {
+    const trimInfo = document.getElementById('preview-trim-info');
+    if (!trimInfo) return;
+
+    if (isEmpty) {
+        trimInfo.textContent = '⚠️ The image has no visible artwork left.';
+    } else if (width === sourceWidth && height === sourceHeight) {
+        trimInfo.textContent = 'No empty margins to trim.';
+    } else {
+        const removedPercent = Math.round((1 - (width * height) / (sourceWidth * sourceHeight)) * 100);
+        trimInfo.textContent = `✂️ Trimmed empty margins: ${sourceWidth} × ${sourceHeight} px → ` +
+            `${width} × ${height} px (${removedPercent}% of the area removed)`;
+    }
+}
+
+/* ============================================
+   STENCIL FILTERS
+   ============================================ */
+
+/**
+ * Black and white stencil: pixels darker than the threshold become black, all others white
+ */
+class ThresholdFilter extends fabric.filters.BaseFilter {
+    static type = 'Threshold';
+    static defaults = { threshold: DEFAULT_IMAGE_FILTER_SETTINGS.threshold };
+    static uniformLocations = ['uThreshold'];
+
+    getFragmentSource() {
+        return `
+            precision highp float;
+            uniform sampler2D uTexture;
+            uniform float uThreshold;
+            varying vec2 vTexCoord;
+            void main() {
+                vec4 color = texture2D(uTexture, vTexCoord);
+                float luminance = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+                color.rgb = vec3(step(uThreshold, luminance));
+                gl_FragColor = color;
+            }`;
+    }
+
+    applyTo2d({ imageData: { data } }) {
+        for (let i = 0; i < data.length; i += 4) {
+            const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            const value = luminance < this.threshold ? 0 : 255;
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+    }
+
+    sendUniformData(gl, uniformLocations) {
+        gl.uniform1f(uniformLocations.uThreshold, this.threshold / 255);
+    }
+}
+
+/**
+ * Reduce an image to a few grey ink tones, evenly spaced from black to white
+ */
+class PosterizeFilter extends fabric.filters.BaseFilter {
+    static type = 'Posterize';
+    static defaults = { levels: DEFAULT_IMAGE_FILTER_SETTINGS.levels };
+    static uniformLocations = ['uLevels'];
+
+    getFragmentSource() {
+        return `
+            precision highp float;
+            uniform sampler2D uTexture;
+            uniform float uLevels;
+            varying vec2 vTexCoord;
+            void main() {
+                vec4 color = texture2D(uTexture, vTexCoord);
+                float luminance = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+                color.rgb = vec3(floor(luminance * (uLevels - 1.0) + 0.5) / (uLevels - 1.0));
+                gl_FragColor = color;
+            }`;
+    }
+
+    applyTo2d({ imageData: { data } }) {
+        const steps = this.levels - 1;
+        for (let i = 0; i < data.length; i += 4) {
+            const luminance = (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+            const value = Math.round(luminance * steps) / steps * 255;
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+    }
+
+    sendUniformData(gl, uniformLocations) {
+        gl.uniform1f(uniformLocations.uLevels, this.levels);
+    }
+}
+
+// Registered so saved states, autosaves and project files restore the filters
+fabric.classRegistry.setClass(ThresholdFilter);
+fabric.classRegistry.setClass(PosterizeFilter);
+
+/**
+ * Fabric filters for stencil settings, in the order they are applied
+ * @param {typeof DEFAULT_IMAGE_FILTER_SETTINGS} settings
+ * @returns {fabric.filters.BaseFilter[]}
+ */
+function createImageFilters(settings) {
+    const filters = [];
+    if (settings.contrast) filters.push(new fabric.filters.Contrast({ contrast: settings.contrast / 100 }));
+    if (settings.brightness) filters.push(new fabric.filters.Brightness({ brightness: settings.brightness / 100 }));
+    if (settings.mode === 'threshold') filters.push(new ThresholdFilter({ threshold: settings.threshold }));
+    if (settings.mode === 'posterize') filters.push(new PosterizeFilter({ levels: settings.levels }));
+    if (settings.invert) filters.push(new fabric.filters.Invert());
+    return filters;
+}
+
+/**
+ * Stencil settings of an image, read back from its filters
+ * @param {fabric.FabricImage} img
+ * @returns {typeof DEFAULT_IMAGE_FILTER_SETTINGS}
+ */
+function getImageFilterSettings(img) {
+    const settings = { ...DEFAULT_IMAGE_FILTER_SETTINGS };
+    (img.filters || []).forEach(filter => {
+        if (filter instanceof ThresholdFilter) {
+            settings.mode = 'threshold';
+            settings.threshold = filter.threshold;
+        } else if (filter instanceof PosterizeFilter) {
+            settings.mode = 'posterize';
+            settings.levels = filter.levels;
+        } else if (filter instanceof fabric.filters.Contrast) {
+            settings.contrast = Math.round(filter.contrast * 100);
+        } else if (filter instanceof fabric.filters.Brightness) {
+            settings.brightness = Math.round(filter.brightness * 100);
+        } else if (filter instanceof fabric.filters.Invert) {
+            settings.invert = filter.invert;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Fill a container with the stencil filter controls (from the shared template)
+ * @param {HTMLElement} container
+ * @param {Function} onChange - Called whenever a setting changes
+ * @returns {{getSettings: Function, setSettings: Function}|null}
+ */
+function createImageFilterControls(container, onChange) {
+    const template = document.getElementById('image-filter-controls-template');
+    if (!container || !template) return null;
+
+    container.appendChild(template.content.cloneNode(true));
+    const inputs = {};
+    container.querySelectorAll('[data-filter]').forEach(input => {
+        inputs[input.dataset.filter] = input;
+    });
+
+    const updateLabels = () => {
+        container.querySelectorAll('[data-filter-value]').forEach(output => {
+            output.textContent = inputs[output.dataset.filterValue].value;
+        });
+        container.querySelectorAll('[data-filter-mode]').forEach(row => {
+            row.style.display = row.dataset.filterMode === inputs.mode.value ? 'flex' : 'none';
+        });
+    };
+
+    const controls = {
+        getSettings() {
+            return {
+                mode: inputs.mode.value,
+                threshold: parseInt(inputs.threshold.value, 10),
+                levels: parseInt(inputs.levels.value, 10),
+                contrast: parseInt(inputs.contrast.value, 10),
+                brightness: parseInt(inputs.brightness.value, 10),
+                invert: inputs.invert.checked
+            };
+        },
+        setSettings(settings) {
+            inputs.mode.value = settings.mode;
+            inputs.threshold.value = settings.threshold;
+            inputs.levels.value = settings.levels;
+            inputs.contrast.value = settings.contrast;
+            inputs.brightness.value = settings.brightness;
+            inputs.invert.checked = settings.invert;
+            updateLabels();
+        }
+    };
+
+    Object.values(inputs).forEach(input => {
+        input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+            updateLabels();
+            onChange(controls.getSettings());
+        });
+    });
+    container.querySelector('[data-filter-action="reset"]').addEventListener('click', () => {
+        controls.setSettings(DEFAULT_IMAGE_FILTER_SETTINGS);
+        onChange(controls.getSettings());
+    });
+
+    controls.setSettings(DEFAULT_IMAGE_FILTER_SETTINGS);
+    return controls;
+}
+
+/**
+ * Wire up the dialog that changes the stencil filters of an image on the sheet
+ */
+function initAdjustImageDialog() {
+    const adjustDialog = document.getElementById('adjust-image-dialog');
+    const adjustImageBtn = document.getElementById('adjust-image-btn');
+    const closeBtn = document.getElementById('close-adjust-dialog-btn');
+    const cancelBtn = document.getElementById('adjust-cancel-btn');
+    const applyBtn = document.getElementById('adjust-apply-btn');
+    if (!adjustDialog) return;
+
+    adjustFilterControls = createImageFilterControls(
+        document.getElementById('adjust-filter-controls'),
+        settings => {
+            if (!adjustedImage) return;
+            adjustedImage.filters = createImageFilters(settings);
+            adjustedImage.applyFilters();
+            canvas.requestRenderAll();
+        }
+    );
+
+    if (adjustImageBtn) adjustImageBtn.addEventListener('click', showAdjustImageDialog);
+    if (closeBtn) closeBtn.addEventListener('click', () => hideAdjustImageDialog(false));
+    if (cancelBtn) cancelBtn.addEventListener('click', () => hideAdjustImageDialog(false));
+    if (applyBtn) applyBtn.addEventListener('click', () => hideAdjustImageDialog(true));
+
+    adjustDialog.addEventListener('click', (e) => {
+        if (e.target === adjustDialog) {
+            hideAdjustImageDialog(false);
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && adjustDialog.classList.contains('show')) {
+            hideAdjustImageDialog(false);
+        }
+    });
+}
+
+/**
+ * Selected image whose filters can be adjusted, if any
+ * @returns {fabric.FabricImage|null}
+ */
+function getAdjustableImage() {
+    const activeObject = canvas.getActiveObject();
+    return activeObject instanceof fabric.FabricImage ? activeObject : null;
+}
+
+/**
+ * Show the adjust image dialog for the selected image
+ */
+function showAdjustImageDialog() {
+    const adjustDialog = document.getElementById('adjust-image-dialog');
+    const img = getAdjustableImage();
+    if (!adjustDialog || !img || !adjustFilterControls) return;
+
+    adjustedImage = img;
+    adjustedImageFilters = [...img.filters];
+    adjustFilterControls.setSettings(getImageFilterSettings(img));
+    adjustDialog.classList.add('show');
+}
+
+/**
+ * Hide the adjust image dialog, keeping the new filters (one undo step) or restoring the old ones
+ * @param {boolean} apply
+ */
+function hideAdjustImageDialog(apply) {
+    const adjustDialog = document.getElementById('adjust-image-dialog');
+    if (adjustDialog) adjustDialog.classList.remove('show');
+    if (!adjustedImage) return;
+
+    if (apply) {
+        scheduleCutContourUpdate();
+        saveState();
+    } else {
+        adjustedImage.filters = adjustedImageFilters;
+        adjustedImage.applyFilters();
+        canvas.requestRenderAll();
+    }
+    adjustedImage = null;
+    adjustedImageFilters = null;
+}
+
+/* ============================================
+   VECTOR TRACING
+   ============================================ */
+
+/**
+ * Wire up the raster-to-vector tracing options of the upload dialog
+ */
+function initVectorTracing() {
+    const traceCheckbox = document.getElementById('trace-vector-checkbox');
+    const traceOptions = document.getElementById('trace-options');
+    if (!traceCheckbox || !traceOptions) return;
+
+    traceCheckbox.addEventListener('change', () => {
+        traceOptions.style.display = traceCheckbox.checked ? 'flex' : 'none';
+        scheduleTracePreview();
+    });
+
+    ['threshold', 'smoothing', 'speckle'].forEach(option => {
+        const slider = document.getElementById(`trace-${option}-slider`);
+        const value = document.getElementById(`trace-${option}-value`);
+        slider.addEventListener('input', () => {
+            value.textContent = slider.value;
+            scheduleTracePreview();
+        });
+    });
+}
+
+/**
+ * Current tracing options from the upload dialog
+ * @returns {{threshold: number, smoothing: number, speckle: number}}
+ */
+function getTraceOptions() {
+    return {
+        threshold: parseInt(document.getElementById('trace-threshold-slider').value, 10),
+        smoothing: parseInt(document.getElementById('trace-smoothing-slider').value, 10),
+        speckle: parseInt(document.getElementById('trace-speckle-slider').value, 10)
+    };
+}
+
+/**
+ * Turn tracing off again for the next image
+ */
+function resetVectorTracing() {
+    const traceCheckbox = document.getElementById('trace-vector-checkbox');
+    const traceOptions = document.getElementById('trace-options');
+    const tracePreview = document.getElementById('trace-preview-image');
+
+    clearTimeout(tracePreviewTimeout);
+    if (traceCheckbox) traceCheckbox.checked = false;
+    if (traceOptions) traceOptions.style.display = 'none';
+    if (tracePreview) tracePreview.removeAttribute('src');
+}
+
+/**
+ * Redraw the traced preview shortly after the last change (only while tracing is on)
+ */
+function scheduleTracePreview() {
+    const traceCheckbox = document.getElementById('trace-vector-checkbox');
+    clearTimeout(tracePreviewTimeout);
+    if (!traceCheckbox || !traceCheckbox.checked) return;
+
+    tracePreviewTimeout = setTimeout(() => {
+        const tracePreview = document.getElementById('trace-preview-image');
+        const traced = traceDialogImage(getTraceOptions());
+        if (!tracePreview) return;
+        if (traced) {
+            tracePreview.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(traced.svg)}`;
+        } else {
+            tracePreview.removeAttribute('src');
+        }
+    }, TRACE_PREVIEW_DELAY);
+}
+
+/**
+ * Trace the dialog image and add the vector result to the sheet
+ * @param {number} targetWidthPx - Width of the artwork on the sheet in design pixels
+ * @param {{closeDialog?: boolean, fillSheetAfter?: boolean}} options
+ */
+async function addTracedImageFromDialog(targetWidthPx, options) {
+    const traced = traceDialogImage(getTraceOptions());
+    if (!traced) {
+        alert('Nothing to trace – no part of the image is darker than the threshold.');
+        return;
+    }
+
+    try {
+        const tracedObject = await createFabricObjectFromSvg(traced.svg);
+        tracedObject.scale(targetWidthPx / traced.width);
+        placeDialogObject(tracedObject, options);
+    } catch (error) {
+        console.error('Failed to add traced image:', error);
+        alert('Unable to trace this image. Please try different settings.');
+    }
+}
+
+/**
+ * Trace the dark parts of the dialog image (with background edits, trim and filter adjustments)
+ * into an SVG of filled black paths
+ * @param {{threshold: number, smoothing: number, speckle: number}} options - threshold is a
+ *   luminance (0-255), smoothing 0 (polygons) to 5, speckle the largest area in source pixels removed
+ * @returns {{svg: string, width: number, height: number}|null} null if nothing was traced
+ */
+function traceDialogImage({ threshold, smoothing, speckle }) {
+    const previewImage = document.getElementById('preview-image');
+    const source = previewEditor ? previewEditor.result : previewImage && getImageElementData(previewImage);
+    if (!source) return null;
+
+    const bounds = currentImageTrim || { left: 0, top: 0, width: source.width, height: source.height };
+    const scale = Math.min(1, TRACE_MAX_SIZE / Math.max(bounds.width, bounds.height));
+    const width = Math.max(1, Math.round(bounds.width * scale));
+    const height = Math.max(1, Math.round(bounds.height * scale));
+
+    const sourceElement = document.createElement('canvas');
+    sourceElement.width = source.width;
+    sourceElement.height = source.height;
+    sourceElement.getContext('2d').putImageData(source, 0, 0);
+
+    const element = document.createElement('canvas');
+    element.width = width;
+    element.height = height;
+    const ctx = element.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(sourceElement, bounds.left, bounds.top, bounds.width, bounds.height, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    if (uploadFilterControls) {
+        createImageFilters(uploadFilterControls.getSettings()).forEach(filter => filter.applyTo2d({ imageData }));
+    }
+
+    const { data } = imageData;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        mask[i] = data[i * 4 + 3] >= 128 && luminance < threshold ? 1 : 0;
+    }
+    removeMaskSpeckles(mask, width, height, speckle * scale * scale);
+
+    const polygons = traceMaskContours(mask, width, height)
+        .map(polygon => simplifyPolygon(polygon, 0.5 + smoothing * 0.5));
+    const pathData = smoothing > 0
+        ? polygonsToSmoothPathData(polygons, TRACE_CORNER_ANGLE + smoothing * 12)
+        : polygonsToPathData(polygons);
+    if (!pathData) return null;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<path fill="#000000" fill-rule="evenodd" d="${pathData}"/></svg>`;
+    return { svg, width, height };
+}
+
+/**
+ * SVG path data with closed polygons smoothed into quadratic curves through their edge
+ * midpoints, keeping sharp turns as corners
+ * @param {number[][][]} polygons
+ * @param {number} cornerAngle - Turns sharper than this (degrees) stay corners
+ * @returns {string}
+ */
+function polygonsToSmoothPathData(polygons, cornerAngle) {
+    const formatPoint = ([x, y]) => `${formatSvgNumber(x)} ${formatSvgNumber(y)}`;
+    return polygons
+        .filter(polygon => polygon.length >= 3)
+        .map(polygon => {
+            const count = polygon.length;
+            const midpoint = i => {
+                const [x1, y1] = polygon[i];
+                const [x2, y2] = polygon[(i + 1) % count];
+                return [(x1 + x2) / 2, (y1 + y2) / 2];
+            };
+            const turnAngle = i => {
+                const [px, py] = polygon[(i + count - 1) % count];
+                const [x, y] = polygon[i];
+                const [nx, ny] = polygon[(i + 1) % count];
+                const incoming = Math.atan2(y - py, x - px);
+                const outgoing = Math.atan2(ny - y, nx - x);
+                const turn = Math.abs(outgoing - incoming) * 180 / Math.PI;
+                return turn > 180 ? 360 - turn : turn;
+            };
+
+            let pathData = `M${formatPoint(midpoint(count - 1))}`;
+            for (let i = 0; i < count; i++) {
+                pathData += turnAngle(i) > cornerAngle
+                    ? ` L${formatPoint(polygon[i])} L${formatPoint(midpoint(i))}`
+                    : ` Q${formatPoint(polygon[i])} ${formatPoint(midpoint(i))}`;
+            }
+            return `${pathData} Z`;
+        })
+        .join(' ');
+}
+
+/* ============================================
+   AUTOSAVE AND CRASH RECOVERY
+   ============================================ */
+
+/**
+ * Open (and lazily create) the IndexedDB database used for autosave
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAutosaveDb() {
+    if (autosaveDbPromise) return autosaveDbPromise;
+
+    autosaveDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+
+        const request = window.indexedDB.open(AUTOSAVE_DB_NAME, AUTOSAVE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                db.createObjectStore(AUTOSAVE_STORE);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    autosaveDbPromise.catch(() => {
+        autosaveDbPromise = null;
+    });
+
+    return autosaveDbPromise;
+}
+
+/**
+ * Run a single request against the autosave object store
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+async function runAutosaveRequest(mode, action) {
+    const db = await openAutosaveDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(AUTOSAVE_STORE, mode);
+        const request = action(transaction.objectStore(AUTOSAVE_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Debounced autosave of the current undo state
+ */
+function scheduleAutosave() {
+    if (!autosaveEnabled) return;
+
+    clearTimeout(autosaveTimeout);
+    autosaveTimeout = setTimeout(() => {
+        writeAutosave().catch(error => {
+            console.warn('Autosave failed:', error);
+        });
+    }, AUTOSAVE_DELAY);
+}
+
+/**
+ * Persist the latest state of every sheet, storing embedded images as blobs
+ */
+async function writeAutosave() {
+    const snapshot = getDocumentSnapshot();
+    if (snapshot.sheets.length === 0) return;
+
+    const sheetStates = snapshot.sheets.map(sheet => JSON.parse(sheet.state));
+    const images = extractStateImages(sheetStates);
+    const record = {
+        savedAt: Date.now(),
+        designId: snapshot.designId,
+        activeSheetIndex: snapshot.activeSheetIndex,
+        sheets: snapshot.sheets.map((sheet, index) => ({
+            name: sheet.name,
+            state: JSON.stringify(sheetStates[index])
+        })),
+        images
+    };
+    await runAutosaveRequest('readwrite', store => store.put(record, AUTOSAVE_KEY));
+}
+
+/**
+ * Read the autosaved design, if any
+ * @returns {Promise<{savedAt: number, designId?: string, activeSheetIndex: number, sheets: {name: string, state: string}[], images: Object<string, Blob>}|null>}
+ */
+async function readAutosave() {
+    const record = await runAutosaveRequest('readonly', store => store.get(AUTOSAVE_KEY));
+    if (!record) return null;
+
+    // Records written before multi-sheet documents hold a single state
+    if (!Array.isArray(record.sheets) && typeof record.state === 'string') {
+        return { ...record, activeSheetIndex: 0, sheets: [{ name: 'Sheet 1', state: record.state }] };
+    }
+    return record;
+}
+
+/**
+ * Remove the autosaved design
+ */
+async function clearAutosave() {
+    clearTimeout(autosaveTimeout);
+    await runAutosaveRequest('readwrite', store => store.delete(AUTOSAVE_KEY));
+}
+
+/**
+ * Check whether an autosave record contains a design worth restoring
+ */
+function hasRestorableDesign(record) {
+    if (!record || !Array.isArray(record.sheets) || record.sheets.length === 0) return false;
+    try {
+        return record.sheets.length > 1 || record.sheets.some(sheet => {
+            const stateData = JSON.parse(sheet.state);
+            return Array.isArray(stateData.objects) && stateData.objects.length > 0;
+        });
+    } catch (error) {
+        console.warn('Autosaved design is corrupt:', error);
+        return false;
+    }
+}
+
+/**
+ * Call back for every serialized object, including objects nested in groups
+ * @param {Object[]} objects - Serialized Fabric objects
+ * @param {(obj: Object) => void} callback
+ */
+function forEachSerializedObject(objects, callback) {
+    if (!Array.isArray(objects)) return;
+    objects.forEach(obj => {
+        if (!obj) return;
+        callback(obj);
+        forEachSerializedObject(obj.objects, callback);
+    });
+}
+
+/**
+ * Replace embedded image data URLs with references to blobs.
+ * Identical images (e.g. clones from Auto Fill, or the same image on several sheets) are stored once.
+ * @param {Object[]} stateDataList - Parsed sheet states, modified in place
+ * @returns {Object<string, Blob>} Image blobs by reference
+ */
+function extractStateImages(stateDataList) {
+    const images = {};
+    const refsBySrc = new Map();
+
+    stateDataList.forEach(stateData => {
+        forEachSerializedObject(stateData.objects, obj => {
+            if (typeof obj.src !== 'string' || !obj.src.startsWith('data:')) return;
+
+            if (!refsBySrc.has(obj.src)) {
+                const ref = AUTOSAVE_IMAGE_REF_PREFIX + refsBySrc.size;
+                refsBySrc.set(obj.src, ref);
+                images[ref] = dataURLToBlob(obj.src);
+            }
+            obj.src = refsBySrc.get(obj.src);
+        });
+    });
+
+    return images;
+}
+
+/**
+ * Remove serialized objects (including group members) matching a predicate
+ * @param {Object[]} objects - Modified in place
+ * @param {(obj: Object) => boolean} predicate
+ * @returns {number} How many objects were removed
+ */
+function removeSerializedObjects(objects, predicate) {
+    if (!Array.isArray(objects)) return 0;
+    let removed = 0;
+    for (let index = objects.length - 1; index >= 0; index--) {
+        const obj = objects[index];
+        if (!obj) continue;
+        if (predicate(obj)) {
+            objects.splice(index, 1);
+            removed++;
+        } else {
+            removed += removeSerializedObjects(obj.objects, predicate);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Put image blobs back into sheet states as data URLs.
+ * Images whose blob is missing are dropped rather than loaded with an empty source.
+ * @param {Object[]} stateDataList - Parsed sheet states, modified in place
+ * @param {Object<string, Blob>} images
+ * @returns {Promise<{sheetStates: Object[], missingImages: number}>}
+ */
+async function restoreStateImages(stateDataList, images) {
+    const dataUrlsByRef = {};
+    await Promise.all(Object.entries(images || {}).map(async ([ref, blob]) => {
+        dataUrlsByRef[ref] = await blobToDataURL(blob);
+    }));
+
+    const isImageRef = obj => typeof obj.src === 'string' && obj.src.startsWith(AUTOSAVE_IMAGE_REF_PREFIX);
+    let missingImages = 0;
+    stateDataList.forEach(stateData => {
+        missingImages += removeSerializedObjects(stateData.objects, obj => isImageRef(obj) && !dataUrlsByRef[obj.src]);
+        forEachSerializedObject(stateData.objects, obj => {
+            if (isImageRef(obj)) {
+                obj.src = dataUrlsByRef[obj.src];
+            }
+        });
+    });
+
+    return { sheetStates: stateDataList, missingImages };
+}
+
+/**
+ * Convert a base64 (or URL-encoded) data URL into a Blob
+ */
+function dataURLToBlob(dataURL) {
+    const commaIndex = dataURL.indexOf(',');
+    const header = dataURL.slice(5, commaIndex);
+    const payload = dataURL.slice(commaIndex + 1);
+    const mimeType = header.split(';')[0] || 'application/octet-stream';
+
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(payload)], { type: mimeType });
+    }
+
+    return new Blob([dataURLToBytes(dataURL)], { type: mimeType });
+}
+
+/**
+ * Decode a base64 data URL into bytes
+ * @returns {Uint8Array}
+ */
+function dataURLToBytes(dataURL) {
+    const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Read a Blob as a data URL
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Wire up the restore prompt buttons
+ */
+function initRestoreDialog() {
+    const restoreBtn = document.getElementById('restore-design-btn');
+    const discardBtn = document.getElementById('discard-design-btn');
+
+    if (restoreBtn) restoreBtn.addEventListener('click', restoreAutosavedDesign);
+    if (discardBtn) discardBtn.addEventListener('click', discardAutosavedDesign);
+}
+
+/**
+ * Show the "Restore your previous design?" prompt
+ */
+function showRestoreDialog(record) {
+    const restoreDialog = document.getElementById('restore-dialog');
+    const restoreDetails = document.getElementById('restore-details');
+    if (!restoreDialog) {
+        autosaveEnabled = true;
+        return;
+    }
+
+    pendingAutosaveRecord = record;
+
+    if (restoreDetails) {
+        const objectCount = record.sheets.reduce((count, sheet) => count + JSON.parse(sheet.state).objects.length, 0);
+        const savedAt = new Date(record.savedAt).toLocaleString();
+        restoreDetails.textContent = `Last saved ${savedAt} • ${record.sheets.length} sheet(s) • ${objectCount} object(s)`;
+    }
+
+    restoreDialog.classList.add('show');
+}
+
+/**
+ * Hide the restore prompt
+ */
+function hideRestoreDialog() {
+    const restoreDialog = document.getElementById('restore-dialog');
+    if (restoreDialog) {
+        restoreDialog.classList.remove('show');
+    }
+    pendingAutosaveRecord = null;
+}
+
+/**
+ * Load the autosaved design and start a fresh undo history for every sheet
+ */
+async function restoreAutosavedDesign() {
+    const record = pendingAutosaveRecord;
+    hideRestoreDialog();
+    if (!record) return;
+
+    try {
+        const { sheetStates, missingImages } = await restoreStateImages(record.sheets.map(sheet => JSON.parse(sheet.state)), record.images);
+        await loadDocument(record.sheets.map((sheet, index) => ({
+            name: sheet.name,
+            state: JSON.stringify(sheetStates[index])
+        })), record.activeSheetIndex, record.designId);
+
+        autosaveEnabled = true;
+        scheduleAutosave();
+
+        if (missingImages > 0) {
+            alert(`${missingImages} image${missingImages === 1 ? '' : 's'} from your previous design could not be recovered and ${missingImages === 1 ? 'was' : 'were'} left out.`);
+        }
+    } catch (error) {
+        console.error('Failed to restore autosaved design:', error);
+        alert('Unable to restore your previous design.');
+        autosaveEnabled = true;
+        showUploadDialog();
+    }
+}
+
+/**
+ * Throw away the autosaved design and start with an empty sheet
+ */
+async function discardAutosavedDesign() {
+    hideRestoreDialog();
+
+    try {
+        await clearAutosave();
+    } catch (error) {
+        console.warn('Unable to discard autosaved design:', error);
+    }
+
+    autosaveEnabled = true;
+    showUploadDialog();
+}
+
+/* ============================================
+   PROJECT FILES
+   ============================================ */
+
+/**
+ * Build the contents of a .likeink project file from all sheets of the current design.
+ * Images are embedded as data URLs by the regular object serialization.
+ * @returns {string} JSON text
+ */
+function buildProjectFile() {
+    flushPendingState();
+    const snapshot = getDocumentSnapshot();
+    const project = {
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        designId: snapshot.designId,
+        activeSheetIndex: snapshot.activeSheetIndex,
+        sheets: snapshot.sheets.map(sheet => ({
+            name: sheet.name,
+            design: JSON.parse(sheet.state)
+        }))
+    };
+    return JSON.stringify(project);
+}
+
+/**
+ * Download the current design as a .likeink project file
+ */
+function saveProjectFile() {
+    if (!canvas) return;
+
+    const blob = new Blob([buildProjectFile()], { type: 'application/json' });
+    downloadBlob(blob, `tattoo-design-${Date.now()}${PROJECT_FILE_EXTENSION}`);
+}
+
+/**
+ * Validate the text of a project file and return its sheets.
+ * Throws an Error with a message that can be shown to the user.
+ * @param {string} text
+ * @returns {{activeSheetIndex: number, sheets: {name: string, design: Object}[]}}
+ */
+function parseProjectFile(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is corrupt or is not a LikeInk project.');
+    }
+
+    if (!project || typeof project !== 'object' || project.format !== PROJECT_FILE_FORMAT) {
+        throw new Error('This file is not a LikeInk project.');
+    }
+
+    if (!Number.isInteger(project.version) || project.version < 1) {
+        throw new Error('This project file is corrupt (missing file version).');
+    }
+
+    if (project.version > PROJECT_FILE_VERSION) {
+        throw new Error('This project was saved by a newer version of LikeInk Designer. Please update the designer and try again.');
+    }
+
+    // Version 1 files hold a single sheet
+    const sheets = project.version === 1
+        ? [{ name: 'Sheet 1', design: project.design }]
+        : project.sheets;
+
+    if (!Array.isArray(sheets) || sheets.length === 0) {
+        throw new Error('This project file is corrupt (missing sheets).');
+    }
+
+    sheets.forEach((sheet, index) => {
+        const design = sheet && sheet.design;
+        if (!design || typeof design !== 'object' || !Array.isArray(design.objects)) {
+            throw new Error(`This project file is corrupt (missing design data on sheet ${index + 1}).`);
+        }
+
+        const invalidObject = design.objects.find(obj => !obj || typeof obj !== 'object' || typeof obj.type !== 'string');
+        if (invalidObject !== undefined) {
+            throw new Error(`This project file is corrupt (invalid object data on sheet ${index + 1}).`);
+        }
+
+        if (design.sheet && !SHEET_FORMATS[design.sheet.format]) {
+            throw new Error(`This project uses an unknown sheet format "${design.sheet.format}".`);
+        }
+    });
+
+    return {
+        designId: typeof project.designId === 'string' && project.designId ? project.designId : undefined,
+        activeSheetIndex: Number.isInteger(project.activeSheetIndex) ? project.activeSheetIndex : 0,
+        sheets: sheets.map((sheet, index) => ({
+            name: typeof sheet.name === 'string' && sheet.name ? sheet.name : `Sheet ${index + 1}`,
+            design: sheet.design
+        }))
+    };
+}
+
+/**
+ * Handle selection of a project file from the "Open Project" input
+ */
+function handleProjectFileSelect(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const hasContent = documentSheets.length > 1 || getUserObjects().length > 0;
+    if (hasContent && !confirm('Opening a project replaces the current design (all sheets). Continue?')) {
+        return;
+    }
+
+    openProjectFile(file);
+}
+
+/**
+ * Read, validate and load a project file onto the canvas
+ * @param {File} file
+ */
+async function openProjectFile(file) {
+    let project;
+    try {
+        project = parseProjectFile(await file.text());
+    } catch (error) {
+        console.error('Invalid project file:', file.name, error);
+        alert(`Unable to open "${file.name}": ${error.message}`);
+        return;
+    }
+
+    flushPendingState();
+    const previousDocument = getDocumentSnapshot();
+
+    try {
+        await loadDocument(project.sheets.map(sheet => ({
+            name: sheet.name,
+            state: JSON.stringify(sheet.design)
+        })), project.activeSheetIndex, project.designId);
+        scheduleAutosave();
+    } catch (error) {
+        console.error('Failed to load project:', file.name, error);
+        alert(`Unable to open "${file.name}": the design could not be loaded. The file may be corrupt.`);
+        isRestoring = false;
+        try {
+            await loadDocument(previousDocument.sheets, previousDocument.activeSheetIndex, previousDocument.designId);
+        } catch (restoreError) {
+            isRestoring = false;
+            console.error('Failed to restore the previous design:', restoreError);
+            alert('Your previous design could not be restored either. The sheet may be incomplete.');
+        }
+    }
+}
+
+/* ============================================
+   MULTI-SHEET DOCUMENTS
+   ============================================ */
+
+/**
+ * Create a sheet record for the document model
+ * @param {string} name - Tab label
+ * @param {string} [state] - Initial serialized state
+ */
+function createSheetRecord(name, state) {
+    sheetIdCounter++;
+    return {
+        id: `sheet-${Date.now()}-${sheetIdCounter}`,
+        name,
+        undoStack: state ? [state] : [],
+        redoStack: []
+    };
+}
+
+/**
+ * Store the undo/redo stacks of the active sheet in its record
+ * (the stacks are replaced rather than mutated in a few places)
+ */
+function syncActiveSheetHistory() {
+    const activeSheet = documentSheets[activeSheetIndex];
+    if (!activeSheet) return;
+    activeSheet.undoStack = undoStack;
+    activeSheet.redoStack = redoStack;
+}
+
+/**
+ * Save any debounced state change right away
+ */
+function flushPendingState() {
+    if (saveStateTimeout) {
+        clearTimeout(saveStateTimeout);
+        saveStateTimeout = null;
+        saveStateImmediate();
+    }
+}
+
+/**
+ * Latest serialized state of every sheet in document order
+ * @returns {{designId: string, activeSheetIndex: number, sheets: {id: string, name: string, state: string}[]}}
+ */
+function getDocumentSnapshot() {
+    syncActiveSheetHistory();
+    return {
+        designId: documentDesignId,
+        activeSheetIndex,
+        sheets: documentSheets
+            .map(sheet => ({
+                id: sheet.id,
+                name: sheet.name,
+                state: sheet.undoStack[sheet.undoStack.length - 1]
+            }))
+            .filter(sheet => typeof sheet.state === 'string')
+    };
+}
+
+/**
+ * Create a short unique ID for a new design (e.g. LI-M2X7K9QZ-4F8A1C)
+ */
+function createDesignId() {
+    const random = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+    return `LI-${Date.now().toString(36)}-${random}`.toUpperCase();
+}
+
+/**
+ * Serialized state of an empty sheet using the current sheet settings
+ */
+function createEmptySheetState() {
+    return JSON.stringify({
+        version: canvas.version,
+        sheet: getSheetSettings(),
+        objects: []
+    });
+}
+
+/**
+ * Replace the whole document, e.g. when opening a project or restoring an autosave
+ * @param {{name: string, state: string}[]} sheets
+ * @param {number} [activeIndex]
+ * @param {string} [designId] - Design ID of the loaded document, a new one is created if missing
+ */
+async function loadDocument(sheets, activeIndex = 0, designId) {
+    clearTimeout(saveStateTimeout);
+    saveStateTimeout = null;
+    canvas.discardActiveObject();
+
+    documentDesignId = designId || createDesignId();
+
+    documentSheets = sheets.map(sheet => createSheetRecord(sheet.name, sheet.state));
+    activeSheetIndex = Math.min(Math.max(0, activeIndex || 0), documentSheets.length - 1);
+    undoStack = documentSheets[activeSheetIndex].undoStack;
+    redoStack = documentSheets[activeSheetIndex].redoStack;
+    renderSheetTabs();
+
+    await restoreState(undoStack[undoStack.length - 1]);
+
+    // Start the history from the loaded state as serialized by this version
+    undoStack = [];
+    redoStack = [];
+    saveStateImmediate();
+    syncActiveSheetHistory();
+    updateUndoRedoButtons();
+}
+
+/**
+ * Make another sheet the active one, keeping the undo history of each sheet
+ * @param {number} index
+ */
+async function switchToSheet(index) {
+    if (index === activeSheetIndex || !documentSheets[index] || isSwitchingSheet) return;
+
+    isSwitchingSheet = true;
+    try {
+        flushPendingState();
+        syncActiveSheetHistory();
+        canvas.discardActiveObject();
+
+        activeSheetIndex = index;
+        const sheet = documentSheets[index];
+        if (sheet.undoStack.length === 0) {
+            sheet.undoStack.push(createEmptySheetState());
+        }
+        undoStack = sheet.undoStack;
+        redoStack = sheet.redoStack;
+        renderSheetTabs();
+
+        await restoreState(undoStack[undoStack.length - 1]);
+    } finally {
+        isSwitchingSheet = false;
+    }
+}
+
+/**
+ * Add an empty sheet (same format and orientation as the current one) and switch to it
+ */
+async function addSheet() {
+    flushPendingState();
+    const sheet = createSheetRecord(getNextSheetName(), createEmptySheetState());
+    documentSheets.push(sheet);
+    await switchToSheet(documentSheets.length - 1);
+    scheduleAutosave();
+}
+
+/**
+ * Duplicate a sheet with its current content (the copy starts with a fresh history)
+ * @param {number} [index] - Defaults to the active sheet
+ */
+async function duplicateSheet(index = activeSheetIndex) {
+    flushPendingState();
+    syncActiveSheetHistory();
+
+    const source = documentSheets[index];
+    if (!source) return;
+
+    const state = source.undoStack[source.undoStack.length - 1] || createEmptySheetState();
+    const copy = createSheetRecord(`${source.name} (copy)`, state);
+    documentSheets.splice(index + 1, 0, copy);
+    if (index < activeSheetIndex) {
+        activeSheetIndex++;
+    }
+    await switchToSheet(index + 1);
+    scheduleAutosave();
+}
+
+/**
+ * Delete a sheet (a document always keeps at least one sheet)
+ * @param {number} index
+ * @param {{confirmDelete?: boolean}} [options] - Ask the customer first (default)
+ */
+async function deleteSheet(index, { confirmDelete = true } = {}) {
+    if (documentSheets.length <= 1 || !documentSheets[index]) return;
+    if (confirmDelete && !confirm(`Delete "${documentSheets[index].name}"? This cannot be undone.`)) return;
+
+    flushPendingState();
+    syncActiveSheetHistory();
+
+    const wasActive = index === activeSheetIndex;
+    documentSheets.splice(index, 1);
+
+    if (wasActive) {
+        // Point at a removed slot so switchToSheet loads the neighbouring sheet
+        activeSheetIndex = -1;
+        await switchToSheet(Math.min(index, documentSheets.length - 1));
+    } else {
+        if (index < activeSheetIndex) {
+            activeSheetIndex--;
+        }
+        renderSheetTabs();
+    }
+    scheduleAutosave();
+}
+
+/**
+ * Move a sheet to another position in the document
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ */
+function moveSheet(fromIndex, toIndex) {
+    if (fromIndex === toIndex || !documentSheets[fromIndex] || toIndex < 0 || toIndex >= documentSheets.length) return;
+
+    syncActiveSheetHistory();
+    const activeSheet = documentSheets[activeSheetIndex];
+    const [moved] = documentSheets.splice(fromIndex, 1);
+    documentSheets.splice(toIndex, 0, moved);
+    activeSheetIndex = documentSheets.indexOf(activeSheet);
+
+    renderSheetTabs();
+    scheduleAutosave();
+}
+
+/**
+ * Rename a sheet via a prompt
+ * @param {number} index
+ */
+function renameSheet(index) {
+    const sheet = documentSheets[index];
+    if (!sheet) return;
+
+    const name = prompt('Sheet name:', sheet.name);
+    if (name === null || !name.trim()) return;
+
+    sheet.name = name.trim();
+    renderSheetTabs();
+    scheduleAutosave();
+}
+
+/**
+ * First unused "Sheet N" name
+ */
+function getNextSheetName() {
+    const names = new Set(documentSheets.map(sheet => sheet.name));
+    let number = documentSheets.length + 1;
+    while (names.has(`Sheet ${number}`)) {
+        number++;
+    }
+    return `Sheet ${number}`;
+}
+
+/**
+ * Wire up the sheet tab bar (tab clicks, drag to reorder, add and duplicate buttons)
+ */
+function initSheetTabs() {
+    const sheetTabs = document.getElementById('sheet-tabs');
+    const addSheetBtn = document.getElementById('add-sheet-btn');
+    const duplicateSheetBtn = document.getElementById('duplicate-sheet-btn');
+
+    if (addSheetBtn) addSheetBtn.addEventListener('click', () => addSheet());
+    if (duplicateSheetBtn) duplicateSheetBtn.addEventListener('click', () => duplicateSheet());
+
+    if (!sheetTabs) return;
+
+    sheetTabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('.sheet-tab');
+        if (!tab) return;
+        const index = parseInt(tab.dataset.index, 10);
+
+        if (e.target.closest('.sheet-tab-close')) {
+            deleteSheet(index);
+        } else {
+            switchToSheet(index);
+        }
+    });
+
+    sheetTabs.addEventListener('dblclick', (e) => {
+        const tab = e.target.closest('.sheet-tab');
+        if (tab) renameSheet(parseInt(tab.dataset.index, 10));
+    });
+
+    // Drag and drop to reorder
+    let draggedIndex = null;
+    sheetTabs.addEventListener('dragstart', (e) => {
+        const tab = e.target.closest('.sheet-tab');
+        if (!tab) return;
+        draggedIndex = parseInt(tab.dataset.index, 10);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', tab.dataset.index);
+        tab.classList.add('dragging');
+    });
+
+    sheetTabs.addEventListener('dragover', (e) => {
+        if (draggedIndex === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+
+    sheetTabs.addEventListener('drop', (e) => {
+        if (draggedIndex === null) return;
+        e.preventDefault();
+        const tab = e.target.closest('.sheet-tab');
+        const targetIndex = tab ? parseInt(tab.dataset.index, 10) : documentSheets.length - 1;
+        moveSheet(draggedIndex, targetIndex);
+        draggedIndex = null;
+    });
+
+    sheetTabs.addEventListener('dragend', () => {
+        draggedIndex = null;
+        sheetTabs.querySelectorAll('.sheet-tab.dragging').forEach(tab => tab.classList.remove('dragging'));
+    });
+}
+
+/**
+ * Render one tab per sheet
+ */
+function renderSheetTabs() {
+    const sheetTabs = document.getElementById('sheet-tabs');
+    if (!sheetTabs) return;
+
+    sheetTabs.innerHTML = '';
+    documentSheets.forEach((sheet, index) => {
+        const tab = document.createElement('div');
+        tab.className = 'sheet-tab' + (index === activeSheetIndex ? ' active' : '');
+        tab.dataset.index = index;
+        tab.draggable = true;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', index === activeSheetIndex ? 'true' : 'false');
+        tab.title = 'Click to open, double-click to rename, drag to reorder';
+
+        const name = document.createElement('span');
+        name.className = 'sheet-tab-name';
+        name.textContent = sheet.name;
+        tab.appendChild(name);
+
+        if (documentSheets.length > 1) {
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'sheet-tab-close';
+            closeBtn.title = 'Delete sheet';
+            closeBtn.textContent = '✕';
+            tab.appendChild(closeBtn);
+        }
+
+        sheetTabs.appendChild(tab);
+    });
+}
+
+/**
+ * Latest serialized state of every sheet, for exports rendered offscreen
+ * @returns {string[]}
+ */
+function getSheetStatesForExport() {
+    flushPendingState();
+    return getDocumentSnapshot().sheets.map(sheet => sheet.state);
+}
+
+/**
+ * "Add to Cart": export every sheet of the document as a PNG, in sheet order.
+ * Several sheets go into one ZIP download, since browsers block or prompt on a run of downloads.
+ * @param {{dpi?: number}} options - Output resolution, defaults to the DPI of each sheet format
+ */
+async function exportAllSheets({ dpi } = {}) {
+    if (!canvas) return;
+
+    const fileName = `tattoo-design-${Date.now()}`;
+    const states = getSheetStatesForExport();
+    if (!confirmExportResolution(states)) return;
+
+    try {
+        if (states.length === 1) {
+            await exportToPNG(states[0], { fileName: `${fileName}.png`, dpi });
+            return;
+        }
+
+        const files = [];
+        for (let index = 0; index < states.length; index++) {
+            files.push({ name: `${fileName}-sheet-${index + 1}.png`, bytes: await renderSheetPng(states[index], { dpi }) });
+        }
+        downloadBlob(buildZipArchive(files), `${fileName}.zip`);
+    } catch (err) {
+        console.error('Failed to export sheets:', err);
+        alert('Unable to export all sheets. Please try again.');
+    }
+}
+
+/* ============================================
+   SHEET ARCHIVE
+   ============================================ */
+
+/**
+ * Bundle files into a ZIP archive, with entries stored without compression
+ * @param {{name: string, bytes: Uint8Array}[]} files
+ * @returns {Blob}
+ */
+function buildZipArchive(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    // Fields shared by the local header and the central directory entry, from "version needed" on
+    const writeEntryFields = (view, at, entry) => {
+        view.setUint16(at, ZIP_VERSION, true);
+        view.setUint16(at + 2, ZIP_UTF8_FLAG, true);
+        view.setUint16(at + 4, 0, true); // Stored
+        view.setUint16(at + 6, dosTime, true);
+        view.setUint16(at + 8, dosDate, true);
+        view.setUint32(at + 10, entry.crc, true);
+        view.setUint32(at + 14, entry.bytes.length, true);
+        view.setUint32(at + 18, entry.bytes.length, true);
+        view.setUint16(at + 22, entry.nameBytes.length, true);
+    };
+
+    files.forEach(({ name, bytes }) => {
+        const entry = { bytes, nameBytes: encoder.encode(name), crc: crc32(bytes), offset };
+
+        const header = new Uint8Array(30 + entry.nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true);
+        writeEntryFields(view, 4, entry);
+        header.set(entry.nameBytes, 30);
+
+        chunks.push(header, bytes);
+        offset += header.length + bytes.length;
+        centralDirectory.push(entry);
+    });
+
+    const directoryOffset = offset;
+    centralDirectory.forEach(entry => {
+        const record = new Uint8Array(46 + entry.nameBytes.length);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014B50, true);
+        view.setUint16(4, ZIP_VERSION, true);
+        writeEntryFields(view, 6, entry);
+        view.setUint32(42, entry.offset, true);
+        record.set(entry.nameBytes, 46);
+
+        chunks.push(record);
+        offset += record.length;
+    });
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054B50, true);
+    view.setUint16(8, centralDirectory.length, true);
+    view.setUint16(10, centralDirectory.length, true);
+    view.setUint32(12, offset - directoryOffset, true);
+    view.setUint32(16, directoryOffset, true);
+    chunks.push(end);
+
+    return new Blob(chunks, { type: 'application/zip' });
+}
+
+/**
+ * CRC-32 as used by ZIP entries and PNG chunks
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/* ============================================
+   EXPORT DIALOG AND PDF EXPORT
+   ============================================ */
+
+/**
+ * Wire up the export dialog controls
+ */
+function initExportDialog() {
+    const exportDialog = document.getElementById('export-dialog');
+    const closeBtn = document.getElementById('close-export-dialog-btn');
+    const formatSelect = document.getElementById('export-format-select');
+    const dpiSelect = document.getElementById('export-dpi-select');
+    const downloadBtn = document.getElementById('export-download-btn');
+
+    if (!exportDialog) return;
+
+    if (closeBtn) closeBtn.addEventListener('click', hideExportDialog);
+    if (formatSelect) formatSelect.addEventListener('change', updateExportDialog);
+    if (dpiSelect) dpiSelect.addEventListener('change', updateExportDialog);
+    if (downloadBtn) downloadBtn.addEventListener('click', handleExportDownload);
+
+    exportDialog.addEventListener('click', (e) => {
+        if (e.target === exportDialog) {
+            hideExportDialog();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && exportDialog.classList.contains('show')) {
+            hideExportDialog();
+        }
+    });
+}
+
+/**
+ * Show the export dialog
+ */
+function showExportDialog() {
+    const exportDialog = document.getElementById('export-dialog');
+    const cutContourInput = document.getElementById('export-cut-contour');
+    if (!exportDialog) return;
+
+    // Offer the cut layer when cut lines are shown on the canvas
+    if (cutContourInput) cutContourInput.checked = cutContoursVisible;
+
+    updateExportDialog();
+    exportDialog.classList.add('show');
+}
+
+/**
+ * Hide the export dialog
+ */
+function hideExportDialog() {
+    const exportDialog = document.getElementById('export-dialog');
+    if (exportDialog) {
+        exportDialog.classList.remove('show');
+    }
+}
+
+/**
+ * Show the options of the selected file type and a summary of what will be exported
+ */
+function updateExportDialog() {
+    const formatSelect = document.getElementById('export-format-select');
+    const pdfOptions = document.getElementById('export-pdf-options');
+    const svgOptions = document.getElementById('export-svg-options');
+    const dpiOptions = document.getElementById('export-dpi-options');
+    const cutOptions = document.getElementById('export-cut-options');
+    const dpiSelect = document.getElementById('export-dpi-select');
+    const summary = document.getElementById('export-summary');
+    const fileType = formatSelect ? formatSelect.value : 'pdf';
+
+    if (pdfOptions) pdfOptions.style.display = fileType === 'pdf' ? 'block' : 'none';
+    if (svgOptions) svgOptions.style.display = fileType === 'svg' ? 'block' : 'none';
+    if (dpiOptions) dpiOptions.style.display = fileType === 'svg' ? 'none' : 'block';
+    if (cutOptions) cutOptions.style.display = fileType === 'png' ? 'none' : 'block';
+
+    if (summary) {
+        const sheetCount = documentSheets.length;
+        const fileCount = fileType === 'pdf' || sheetCount === 1 ? '1 file' : `1 ZIP file of ${sheetCount}`;
+        const resolution = fileType === 'svg' ? 'vector' : `${dpiSelect ? dpiSelect.value : DESIGN_DPI} DPI`;
+        const mirroredCount = getSheetStatesForExport()
+            .filter(state => resolveSheetSettings(JSON.parse(state).sheet).format.mirror).length;
+        let mirroring = 'artwork mirrored for transfer';
+        if (mirroredCount === 0) {
+            mirroring = 'artwork not mirrored';
+        } else if (mirroredCount < sheetCount) {
+            mirroring = `${mirroredCount} sheet(s) mirrored for transfer`;
+        }
+        summary.textContent = `${sheetCount} sheet(s) • ${fileCount} • ${resolution} • ${mirroring}`;
+    }
+}
+
+/**
+ * Export all sheets in the file type chosen in the export dialog
+ */
+async function handleExportDownload() {
+    const formatSelect = document.getElementById('export-format-select');
+    const cropMarksInput = document.getElementById('export-crop-marks');
+    const bleedBoxInput = document.getElementById('export-bleed-box');
+    const outlineTextInput = document.getElementById('export-outline-text');
+    const cutContourInput = document.getElementById('export-cut-contour');
+    const dpiSelect = document.getElementById('export-dpi-select');
+    const downloadBtn = document.getElementById('export-download-btn');
+    const fileType = formatSelect ? formatSelect.value : 'pdf';
+    const cutContour = !!(cutContourInput && cutContourInput.checked);
+    const dpi = dpiSelect ? parseInt(dpiSelect.value, 10) || undefined : undefined;
+
+    if (downloadBtn) downloadBtn.disabled = true;
+    try {
+        if (fileType === 'pdf') {
+            await exportToPDF({
+                cropMarks: !cropMarksInput || cropMarksInput.checked,
+                bleedBox: !!(bleedBoxInput && bleedBoxInput.checked),
+                cutContour,
+                dpi
+            });
+        } else if (fileType === 'svg') {
+            await exportToSVG({ outlineText: !!(outlineTextInput && outlineTextInput.checked), cutContour });
+        } else {
+            await exportAllSheets({ dpi });
+        }
+        hideExportDialog();
+    } finally {
+        if (downloadBtn) downloadBtn.disabled = false;
+    }
+}
+
+/**
+ * Export every sheet as one page of a print-ready PDF at true physical size
+ * @param {{cropMarks?: boolean, bleedBox?: boolean, cutContour?: boolean, dpi?: number}} options
+ */
+async function exportToPDF({ cropMarks = true, bleedBox = false, cutContour = false, dpi } = {}) {
+    if (!canvas) return;
+
+    const states = getSheetStatesForExport();
+    if (!confirmExportResolution(states)) return;
+
+    try {
+        const pages = [];
+        for (const state of states) {
+            const { format, widthMm, heightMm } = resolveSheetSettings(JSON.parse(state).sheet);
+            const renderedSheet = await renderSheetForPrint(state, { dpi, outerBleed: bleedBox });
+            pages.push({
+                widthMm,
+                heightMm,
+                bleedMm: bleedBox ? format.bleedMm : 0,
+                cutContours: cutContour ? await getSheetCutContoursMm(state) : [],
+                image: await encodePdfImage(renderedSheet)
+            });
+        }
+
+        downloadBlob(buildPrintPdf(pages, { cropMarks, bleedBox }), `tattoo-design-${Date.now()}.pdf`);
+    } catch (err) {
+        console.error('Failed to export PDF:', err);
+        alert('Unable to export the PDF. Please try again.');
+    }
+}
+
+/**
+ * Lossless image for the PDF: raw RGB pixels of the rendered sheet, zlib-compressed for FlateDecode.
+ * The print render is composited on white, so the alpha channel is dropped.
+ * @param {HTMLCanvasElement} renderedSheet
+ * @returns {Promise<{width: number, height: number, flateBytes: Uint8Array}>}
+ */
+async function encodePdfImage(renderedSheet) {
+    const { width, height } = renderedSheet;
+    const rgba = renderedSheet.getContext('2d').getImageData(0, 0, width, height).data;
+    const rgb = new Uint8Array(width * height * 3);
+    for (let src = 0, dst = 0; src < rgba.length; src += 4, dst += 3) {
+        rgb[dst] = rgba[src];
+        rgb[dst + 1] = rgba[src + 1];
+        rgb[dst + 2] = rgba[src + 2];
+    }
+
+    const compressed = new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'));
+    const flateBytes = new Uint8Array(await new Response(compressed).arrayBuffer());
+    return { width, height, flateBytes };
+}
+
+/**
+ * Build a PDF with one page per sheet. Each page is the trim size plus a slug for crop marks;
+ * the TrimBox marks the sheet edge. With a bleed box, each page image covers the trim grown by
+ * its bleed (see renderSheetForPrint) and the BleedBox is declared around exactly that area.
+ * Cut contours are stroked in a Separation colour space named after the cut spot colour.
+ * @param {{widthMm: number, heightMm: number, bleedMm: number, cutContours?: number[][][], image: {width: number, height: number, flateBytes: Uint8Array}}[]} pages - bleedMm is the artwork rendered past the trim
+ * @param {{cropMarks: boolean, bleedBox: boolean}} options
+ * @returns {Blob}
+ */
+function buildPrintPdf(pages, { cropMarks, bleedBox }) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const objectOffsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const beginObject = (id) => {
+        objectOffsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+    const pt = mm => (mm * PT_PER_MM).toFixed(3);
+
+    // Object ids: 1 catalog, 2 page tree, 3 info, then page, content stream and image per page
+    const pageIds = pages.map((page, index) => 4 + index * 3);
+    const objectCount = 4 + pages.length * 3;
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // Binary marker comment
+
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+    beginObject(3);
+    write(`<< /Title (LikeInk tattoo sheet) /Creator (LikeInk Designer) /CreationDate (D:${formatPdfDate(new Date())}) >>\nendobj\n`);
+
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const contentId = pageId + 1;
+        const imageId = pageId + 2;
+
+        // Slug must fit crop marks pushed outside the bleed
+        const slugMm = Math.max(PDF_SLUG_MM, page.bleedMm + PDF_CROP_MARK_OFFSET_MM + PDF_CROP_MARK_LENGTH_MM + 2);
+        const pageWidthMm = page.widthMm + slugMm * 2;
+        const pageHeightMm = page.heightMm + slugMm * 2;
+        const trim = [slugMm, slugMm, slugMm + page.widthMm, slugMm + page.heightMm];
+        const bleed = [trim[0] - page.bleedMm, trim[1] - page.bleedMm, trim[2] + page.bleedMm, trim[3] + page.bleedMm];
+
+        let boxes = `/MediaBox [0 0 ${pt(pageWidthMm)} ${pt(pageHeightMm)}] /TrimBox [${trim.map(pt).join(' ')}]`;
+        if (bleedBox) {
+            boxes += ` /BleedBox [${bleed.map(pt).join(' ')}]`;
+        }
+
+        const hasCutContours = page.cutContours && page.cutContours.length > 0;
+        let resources = `/XObject << /Im${index + 1} ${imageId} 0 R >>`;
+        if (hasCutContours) {
+            // Spot colour for the cutter, shown as 100% magenta by viewers
+            resources += ` /ColorSpace << /CS1 [/Separation /${CUT_CONTOUR_SPOT_COLOR} /DeviceCMYK ` +
+                '<< /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [0 1 0 0] /N 1 >>] >>';
+        }
+
+        beginObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R ${boxes} /Resources << ${resources} >> /Contents ${contentId} 0 R >>\nendobj\n`);
+
+        // Artwork placed over the trim and bleed, crop marks outside both
+        let content = `q\n${pt(bleed[2] - bleed[0])} 0 0 ${pt(bleed[3] - bleed[1])} ${pt(bleed[0])} ${pt(bleed[1])} cm\n/Im${index + 1} Do\nQ\n`;
+        if (hasCutContours) {
+            content += buildCutContourPdf(page.cutContours, trim, pt);
+        }
+        if (cropMarks) {
+            content += buildCropMarks(trim, page.bleedMm, pt);
+        }
+
+        beginObject(contentId);
+        write(`<< /Length ${encoder.encode(content).length} >>\nstream\n${content}endstream\nendobj\n`);
+
+        beginObject(imageId);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode /Length ${page.image.flateBytes.length} >>\nstream\n`);
+        write(page.image.flateBytes);
+        write('\nendstream\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objectCount; id++) {
+        xref += `${String(objectOffsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+/**
+ * PDF content stream drawing crop marks at the four trim corners
+ * @param {number[]} trim - [left, bottom, right, top] in mm
+ * @param {number} bleedMm - Extra distance to keep marks clear of the bleed
+ * @param {(mm: number) => string} pt - mm to PDF points
+ */
+function buildCropMarks(trim, bleedMm, pt) {
+    const [left, bottom, right, top] = trim;
+    const gap = bleedMm + PDF_CROP_MARK_OFFSET_MM;
+    const end = gap + PDF_CROP_MARK_LENGTH_MM;
+    const lines = [];
+
+    [[left, bottom, -1, -1], [right, bottom, 1, -1], [left, top, -1, 1], [right, top, 1, 1]].forEach(([x, y, dx, dy]) => {
+        // Horizontal mark in line with the trim edge, vertical mark in line with the other edge
+        lines.push([x + dx * gap, y, x + dx * end, y]);
+        lines.push([x, y + dy * gap, x, y + dy * end]);
+    });
+
+    let content = 'q\n0.25 w\n0 0 0 1 K\n';
+    lines.forEach(([x1, y1, x2, y2]) => {
+        content += `${pt(x1)} ${pt(y1)} m ${pt(x2)} ${pt(y2)} l S\n`;
+    });
+    return content + 'Q\n';
+}
+
+/**
+ * PDF content stream stroking cut contours in the cut spot colour (resource CS1)
+ * @param {number[][][]} polygons - Sheet millimetres from the top-left trim corner
+ * @param {number[]} trim - [left, bottom, right, top] in mm
+ * @param {(mm: number) => string} pt - mm to PDF points
+ */
+function buildCutContourPdf(polygons, trim, pt) {
+    let content = 'q\n/CS1 CS 1 SCN\n0.25 w\n1 j\n';
+    polygons.filter(polygon => polygon.length >= 3).forEach(polygon => {
+        polygon.forEach(([x, y], index) => {
+            content += `${pt(trim[0] + x)} ${pt(trim[3] - y)} ${index === 0 ? 'm' : 'l'}\n`;
+        });
+        content += 'h S\n';
+    });
+    return content + 'Q\n';
+}
+
+/**
+ * Format a date for PDF metadata (D:YYYYMMDDHHmmSS)
+ */
+function formatPdfDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/* ============================================
+   SVG EXPORT
+   ============================================ */
+
+/**
+ * Export every sheet as a vector SVG file (several sheets in one ZIP download)
+ * @param {{outlineText?: boolean, cutContour?: boolean}} options
+ */
+async function exportToSVG({ outlineText = false, cutContour = false } = {}) {
+    if (!canvas) return;
+
+    const fileName = `tattoo-design-${Date.now()}`;
+    const states = getSheetStatesForExport();
+
+    try {
+        // Read the fonts first, while the click still allows the browser's font permission prompt
+        const textFonts = outlineText ? await loadTextOutlineFonts() : null;
+        if (!confirmExportResolution(states)) return;
+
+        const encoder = new TextEncoder();
+        const files = [];
+        for (let index = 0; index < states.length; index++) {
+            const svg = await buildSheetSvg(states[index], { textFonts, cutContour });
+            files.push({ name: `${fileName}-sheet-${index + 1}.svg`, bytes: encoder.encode(svg) });
+        }
+
+        if (files.length === 1) {
+            downloadBlob(new Blob([files[0].bytes], { type: 'image/svg+xml' }), `${fileName}.svg`);
+        } else {
+            downloadBlob(buildZipArchive(files), `${fileName}.zip`);
+        }
+
+        if (textFonts && textFonts.missingFamilies.size > 0) {
+            alert(`Text in ${[...textFonts.missingFamilies].join(', ')} was kept as live text: this browser ` +
+                'cannot read the font file to convert it to outlines.');
+        }
+    } catch (err) {
+        console.error('Failed to export SVG:', err);
+        alert('Unable to export the SVG files. Please try again.');
+    }
+}
+
+/**
+ * Build an SVG document of a sheet at true physical size. Symbols and text stay
+ * vector, uploaded images are embedded, the artwork is mirrored (transfer products) and
+ * clipped to the printable area inside the bleed margin (like the raster exports).
+ * Cut contours are added as a separate, unclipped layer named after the cut spot colour.
+ * @param {string} state - Serialized sheet state (see serializeCanvasState)
+ * @param {{textFonts?: Object, cutContour?: boolean}} options - textFonts (see loadTextOutlineFonts)
+ *   converts text to filled glyph paths
+ * @returns {Promise<string>}
+ */
+async function buildSheetSvg(state, { textFonts = null, cutContour = false } = {}) {
+    const { sheetCanvas, format, widthMm, heightMm, cutOffsetMm } = await createOffscreenSheet(state);
+    const width = widthMm * MM_TO_PIXELS;
+    const height = heightMm * MM_TO_PIXELS;
+    const bleedPixels = Math.round(format.bleedMm * MM_TO_PIXELS);
+    const mirrorGroup = format.mirror ? `<g transform="matrix(-1 0 0 1 ${formatSvgNumber(width)} 0)">` : '<g>';
+
+    let objectMarkup;
+    let cutContourMarkup = '';
+    try {
+        const objects = sheetCanvas.getObjects().filter(obj => obj.visible);
+        const objectSvgs = await Promise.all(objects.map(obj => buildObjectSvg(obj, textFonts)));
+        objectMarkup = objects
+            .map((obj, index) => buildObjectOutlineSvg(obj) + objectSvgs[index])
+            .join('');
+        if (cutContour) {
+            cutContourMarkup = buildCutContourSvg(objects.flatMap(obj => getObjectCutContours(obj, cutOffsetMm)));
+        }
+    } finally {
+        sheetCanvas.dispose();
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ' +
+            `width="${formatSvgNumber(widthMm)}mm" height="${formatSvgNumber(heightMm)}mm" ` +
+            `viewBox="0 0 ${formatSvgNumber(width)} ${formatSvgNumber(height)}">`,
+        `<desc>LikeInk tattoo sheet (${format.label}, ${format.mirror ? 'mirrored' : 'not mirrored'})</desc>`,
+        '<defs>',
+        '<clipPath id="printable-area">',
+        `<rect x="${bleedPixels}" y="${bleedPixels}" width="${formatSvgNumber(width - bleedPixels * 2)}" ` +
+            `height="${formatSvgNumber(height - bleedPixels * 2)}"/>`,
+        '</clipPath>',
+        '</defs>',
+        '<g id="artwork" clip-path="url(#printable-area)">',
+        mirrorGroup,
+        objectMarkup,
+        '</g>',
+        '</g>',
+        ...(cutContourMarkup ? [mirrorGroup, cutContourMarkup, '</g>'] : []),
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Fonts for converting text to outlines, read from the font files installed on this computer
+ * (Local Font Access API) so the glyph paths match what the canvas draws. Families that cannot
+ * be read are collected in missingFamilies; their text stays live text.
+ * @returns {Promise<{localFonts: Object[], parsedFonts: Map<string, Promise<Object|null>>, missingFamilies: Set<string>}>}
+ */
+async function loadTextOutlineFonts() {
+    let localFonts = [];
+    if (typeof window.queryLocalFonts === 'function' && typeof opentype !== 'undefined') {
+        try {
+            localFonts = await window.queryLocalFonts();
+        } catch (err) {
+            // Permission denied: every family ends up in missingFamilies and stays live text
+        }
+    }
+    return { localFonts, parsedFonts: new Map(), missingFamilies: new Set() };
+}
+
+/**
+ * Parsed (opentype.js) font for a text style, or null when its font file cannot be read
+ * @param {Object} textFonts - See loadTextOutlineFonts
+ * @param {{fontFamily: string, fontWeight: string|number, fontStyle: string}} style
+ * @returns {Promise<Object|null>}
+ */
+function getTextOutlineFont(textFonts, style) {
+    const family = String(style.fontFamily).split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+    const bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 600;
+    const italic = /italic|oblique/i.test(style.fontStyle);
+    const key = `${family}|${bold}|${italic}`;
+
+    if (!textFonts.parsedFonts.has(key)) {
+        const fontData = findLocalFont(textFonts.localFonts, family, bold, italic);
+        textFonts.parsedFonts.set(key, fontData
+            ? fontData.blob()
+                .then(blob => blob.arrayBuffer())
+                .then(buffer => opentype.parse(buffer))
+                .catch(() => null)
+            : Promise.resolve(null));
+    }
+
+    return textFonts.parsedFonts.get(key).then(font => {
+        if (!font) textFonts.missingFamilies.add(family);
+        return font;
+    });
+}
+
+/**
+ * Installed font of a family closest to the wanted weight and slant
+ * @param {Object[]} localFonts - FontData from queryLocalFonts
+ * @returns {Object|null}
+ */
+function findLocalFont(localFonts, family, bold, italic) {
+    const score = fontData => {
+        const style = fontData.style.toLowerCase();
+        return (/bold|black|heavy/.test(style) === bold ? 2 : 0) +
+            (/italic|oblique/.test(style) === italic ? 2 : 0) +
+            (/^(regular|normal|roman|book)$/.test(style) ? 1 : 0);
+    };
+    const candidates = localFonts.filter(fontData => fontData.family.toLowerCase() === family.toLowerCase());
+    return candidates.sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+/**
+ * SVG markup of an object, with its text converted to outlines if fonts are given
+ * @param {fabric.FabricObject} obj
+ * @param {Object|null} textFonts - See loadTextOutlineFonts
+ * @returns {Promise<string>}
+ */
+async function buildObjectSvg(obj, textFonts) {
+    if (!textFonts) return obj.toSVG();
+    if (obj instanceof fabric.FabricText) return buildTextOutlineSvg(obj, textFonts);
+    if (!isUserGroup(obj)) return obj.toSVG();
+
+    // Outlined text is placed with its full transform, the other members inside their group's
+    const groupTransform = `transform="matrix(${obj.calcTransformMatrix().map(formatSvgNumber).join(' ')})"`;
+    const memberSvgs = await Promise.all(obj.getObjects()
+        .filter(member => member.visible)
+        .map(async member => (member instanceof fabric.FabricText || isUserGroup(member)
+            ? buildObjectSvg(member, textFonts)
+            : `<g ${groupTransform}>${member.toSVG()}</g>\n`)));
+    return memberSvgs.join('');
+}
+
+/**
+ * SVG markup of a text object converted to outlines: every character becomes the glyph path of
+ * its font, laid out where Fabric draws it (line offsets, alignment and kerned character
+ * positions), so the file no longer depends on the font being installed.
+ * Falls back to live text when a font cannot be read.
+ * @param {fabric.FabricText} textObj
+ * @param {Object} textFonts - See loadTextOutlineFonts
+ * @returns {Promise<string>}
+ */
+async function buildTextOutlineSvg(textObj, textFonts) {
+    const pathDataByFill = new Map();
+    const left = textObj._getLeftOffset();
+    let lineTop = textObj._getTopOffset();
+
+    for (let lineIndex = 0; lineIndex < textObj._textLines.length; lineIndex++) {
+        const line = textObj._textLines[lineIndex];
+        const lineLeft = left + textObj._getLineLeftOffset(lineIndex);
+        // Fabric draws on the alphabetic baseline, the font size fraction above the line bottom
+        const lineHeight = textObj.getHeightOfLineImpl(lineIndex);
+        const baseline = lineTop + lineHeight - lineHeight * textObj._fontSizeFraction;
+
+        for (let charIndex = 0; charIndex < line.length; charIndex++) {
+            const style = textObj.getCompleteStyleDeclaration(lineIndex, charIndex);
+            if (!style.fill) continue;
+
+            const font = await getTextOutlineFont(textFonts, style);
+            if (!font) return textObj.toSVG();
+
+            const charBox = textObj.__charBounds[lineIndex][charIndex];
+            const glyphPath = font.getPath(line[charIndex], lineLeft + charBox.left, baseline + (style.deltaY || 0), style.fontSize);
+            const fill = typeof style.fill === 'string' ? style.fill : '#000000';
+            pathDataByFill.set(fill, (pathDataByFill.get(fill) || '') + glyphPath.toPathData(3));
+        }
+        lineTop += textObj.getHeightOfLine(lineIndex);
+    }
+
+    const paths = [...pathDataByFill]
+        .filter(([, pathData]) => pathData)
+        .map(([fill, pathData]) => `<path fill="${fill}" d="${pathData}"/>\n`)
+        .join('');
+    return `<g ${textObj.getSvgTransform(true)}${textObj.getSvgCommons()}opacity="${textObj.opacity}">\n${paths}</g>\n`;
+}
+
+/**
+ * Format a number for SVG output (at most 3 decimals)
+ */
+function formatSvgNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/* ============================================
+   BITMAP CONTOUR TRACING
+   ============================================ */
+
+/**
+ * Build a binary mask from the alpha channel of image data
+ * @param {ImageData} imageData
+ * @param {number} [alphaThreshold=128]
+ * @returns {Uint8Array} 1 for opaque pixels, 0 elsewhere
+ */
+function createAlphaMask(imageData, alphaThreshold = 128) {
+    const { data, width, height } = imageData;
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = data[i * 4 + 3] >= alphaThreshold ? 1 : 0;
+    }
+    return mask;
+}
+
+/**
+ * Trace the boundaries of a binary mask into closed polygons along the pixel edges.
+ * Outer boundaries run clockwise on screen and holes counter-clockwise.
+ * @param {Uint8Array} mask - width * height values, 1 = inside
+ * @param {number} width
+ * @param {number} height
+ * @returns {number[][][]} Polygons as arrays of [x, y] corner points
+ */
+function traceMaskContours(mask, width, height) {
+    const stride = width + 1;
+    const vertexCount = stride * (height + 1);
+    // A grid corner has one outgoing boundary edge, or two where pixels touch diagonally
+    const firstEdge = new Int32Array(vertexCount).fill(-1);
+    const secondEdge = new Int32Array(vertexCount).fill(-1);
+
+    const isInside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+    const addEdge = (fromX, fromY, toX, toY) => {
+        const from = fromY * stride + fromX;
+        if (firstEdge[from] === -1) {
+            firstEdge[from] = toY * stride + toX;
+        } else {
+            secondEdge[from] = toY * stride + toX;
+        }
+    };
+    const takeEdge = (vertex) => {
+        const edges = firstEdge[vertex] !== -1 ? firstEdge : secondEdge;
+        const to = edges[vertex];
+        edges[vertex] = -1;
+        return to;
+    };
+
+    // Walk around every inside pixel clockwise, keeping only edges that border the outside
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isInside(x, y)) continue;
+            if (!isInside(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!isInside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!isInside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!isInside(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    // Every corner has as many incoming as outgoing edges, so each walk returns to its start
+    const polygons = [];
+    for (let start = 0; start < vertexCount; start++) {
+        while (firstEdge[start] !== -1 || secondEdge[start] !== -1) {
+            const points = [];
+            let vertex = start;
+            do {
+                points.push([vertex % stride, Math.floor(vertex / stride)]);
+                vertex = takeEdge(vertex);
+            } while (vertex !== start);
+            polygons.push(removeCollinearPoints(points));
+        }
+    }
+    return polygons;
+}
+
+/**
+ * Drop points lying on a straight line between their neighbours of a closed polygon
+ * @param {number[][]} points
+ */
+function removeCollinearPoints(points) {
+    return points.filter((point, index) => {
+        const prev = points[(index + points.length - 1) % points.length];
+        const next = points[(index + 1) % points.length];
+        return (next[0] - prev[0]) * (point[1] - prev[1]) !== (next[1] - prev[1]) * (point[0] - prev[0]);
+    });
+}
+
+/**
+ * Simplify a closed polygon with the Ramer-Douglas-Peucker algorithm
+ * @param {number[][]} points
+ * @param {number} tolerance - Maximum distance a removed point may lie from the result
+ * @returns {number[][]}
+ */
+function simplifyPolygon(points, tolerance) {
+    if (points.length <= 4 || tolerance <= 0) return points;
+
+    // Split the ring at the point farthest from the first one and simplify both halves
+    let splitIndex = 0;
+    let maxDistance = -1;
+    points.forEach(([x, y], index) => {
+        const distance = (x - points[0][0]) ** 2 + (y - points[0][1]) ** 2;
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            splitIndex = index;
+        }
+    });
+
+    const firstHalf = simplifyPolyline(points.slice(0, splitIndex + 1), tolerance);
+    const secondHalf = simplifyPolyline(points.slice(splitIndex).concat([points[0]]), tolerance);
+    return firstHalf.slice(0, -1).concat(secondHalf.slice(0, -1));
+}
+
+/**
+ * Simplify an open polyline with the Ramer-Douglas-Peucker algorithm (end points are kept)
+ * @param {number[][]} points
+ * @param {number} tolerance
+ * @returns {number[][]}
+ */
+function simplifyPolyline(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const ranges = [[0, points.length - 1]];
+
+    while (ranges.length) {
+        const [start, end] = ranges.pop();
+        let maxDistance = 0;
+        let farthest = -1;
+        for (let i = start + 1; i < end; i++) {
+            const distance = distanceToSegment(points[i], points[start], points[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (maxDistance > tolerance) {
+            keep[farthest] = 1;
+            ranges.push([start, farthest], [farthest, end]);
+        }
+    }
+    return points.filter((point, index) => keep[index]);
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+/**
+ * SVG path data for closed polygons
+ * @param {number[][][]} polygons
+ * @param {(point: number[]) => number[]} [mapPoint] - Maps traced coordinates to output coordinates
+ * @returns {string}
+ */
+function polygonsToPathData(polygons, mapPoint = point => point) {
+    return polygons
+        .filter(polygon => polygon.length >= 3)
+        .map(polygon => polygon.map((point, index) => {
+            const [x, y] = mapPoint(point);
+            return `${index === 0 ? 'M' : 'L'}${formatSvgNumber(x)} ${formatSvgNumber(y)}`;
+        }).join(' ') + ' Z')
+        .join(' ');
+}
+
+/* ============================================
+   PNG METADATA
+   ============================================ */
+
+/**
+ * Add physical resolution (pHYs) and text (tEXt) chunks to a PNG file, right after its header.
+ * Any resolution chunk written by the browser encoder is replaced.
+ * @param {Uint8Array} pngBytes
+ * @param {number} dpi
+ * @param {Object<string, string>} textFields - Keyword/value pairs (Latin-1)
+ * @returns {Uint8Array}
+ */
+function addPngMetadata(pngBytes, dpi, textFields) {
+    const pixelsPerMeter = Math.round(dpi / INCH_TO_METERS);
+    const physData = new Uint8Array(9);
+    const physView = new DataView(physData.buffer);
+    physView.setUint32(0, pixelsPerMeter);
+    physView.setUint32(4, pixelsPerMeter);
+    physData[8] = 1; // Unit: metre
+
+    const metadataChunks = [createPngChunk('pHYs', physData)];
+    Object.entries(textFields).forEach(([keyword, value]) => {
+        metadataChunks.push(createPngChunk('tEXt', encodeLatin1(`${keyword}\0${value}`)));
+    });
+
+    const view = new DataView(pngBytes.buffer, pngBytes.byteOffset, pngBytes.byteLength);
+    const parts = [pngBytes.subarray(0, PNG_SIGNATURE_LENGTH)];
+    let offset = PNG_SIGNATURE_LENGTH;
+    while (offset + 8 <= pngBytes.length) {
+        const chunkEnd = offset + 12 + view.getUint32(offset); // Length, type, data, CRC
+        const type = String.fromCharCode(...pngBytes.subarray(offset + 4, offset + 8));
+        if (type !== 'pHYs') {
+            parts.push(pngBytes.subarray(offset, chunkEnd));
+        }
+        if (type === 'IHDR') {
+            parts.push(...metadataChunks);
+        }
+        offset = chunkEnd;
+    }
+
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC of type and data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(encodeLatin1(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encode a string as Latin-1, replacing characters outside its range with "?"
+ * @returns {Uint8Array}
+ */
+function encodeLatin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i] = code <= 0xFF ? code : 0x3F;
+    }
+    return bytes;
+}
+
+/* ============================================
+   PRINT RESOLUTION CHECKS
+   ============================================ */
+
+/**
+ * Effective print resolution of an image object: source pixels per inch at its printed size
+ * (the design space is DESIGN_DPI, so an unscaled image prints at exactly that resolution)
+ * @param {fabric.FabricImage} img
+ * @returns {number}
+ */
+function getEffectiveDpi(img) {
+    const scaling = img.getObjectScaling();
+    const scale = Math.max(scaling.x, scaling.y);
+    return scale > 0 ? DESIGN_DPI / scale : Infinity;
+}
+
+/**
+ * Image objects of an object, including images nested in groups
+ * @param {fabric.FabricObject} obj
+ * @returns {fabric.FabricImage[]}
+ */
+function getImageObjects(obj) {
+    if (obj instanceof fabric.FabricImage) return [obj];
+    if (obj instanceof fabric.Group) {
+        return obj.getObjects().flatMap(getImageObjects);
+    }
+    return [];
+}
+
+/**
+ * Lowest effective DPI of the images in an object, or null if it contains no images
+ * @param {fabric.FabricObject} obj
+ * @returns {number|null}
+ */
+function getLowestEffectiveDpi(obj) {
+    const images = getImageObjects(obj);
+    return images.length ? Math.min(...images.map(getEffectiveDpi)) : null;
+}
+
+/**
+ * Show the print resolution of the image in the upload preview
+ * @param {number} dpi
+ */
+function updatePreviewResolution(dpi) {
+    const previewResolution = document.getElementById('preview-resolution');
+    if (!previewResolution) return;
+
+    const roundedDpi = Math.round(dpi);
+    const isLow = dpi < MIN_EFFECTIVE_DPI;
+    previewResolution.classList.toggle('low', isLow);
+    previewResolution.textContent = isLow
+        ? `⚠️ Only ${roundedDpi} DPI at this size – it will print blurry. Choose a smaller size or a larger image.`
+        : `✓ Print quality: ${roundedDpi} DPI`;
+}
+
+/**
+ * Show the size and image resolution of the active selection below the canvas
+ */
+function updateSelectionInfo() {
+    const selectionInfo = document.getElementById('selection-info');
+    if (!selectionInfo || !canvas) return;
+
+    const activeObject = canvas.getActiveObject();
+    if (!activeObject || isBleedObject(activeObject)) {
+        selectionInfo.style.display = 'none';
+        return;
+    }
+
+    const bounds = activeObject.getBoundingRect();
+    let text = `Selected: ${(bounds.width / MM_TO_PIXELS).toFixed(1)} × ${(bounds.height / MM_TO_PIXELS).toFixed(1)} mm`;
+
+    const lowestDpi = getLowestEffectiveDpi(activeObject);
+    const isLow = lowestDpi !== null && lowestDpi < MIN_EFFECTIVE_DPI;
+    if (lowestDpi !== null) {
+        text += isLow
+            ? ` • ⚠️ image resolution ${Math.round(lowestDpi)} DPI – will print blurry`
+            : ` • image resolution ${Math.round(lowestDpi)} DPI`;
+    }
+
+    selectionInfo.textContent = text;
+    selectionInfo.classList.toggle('low', isLow);
+    selectionInfo.style.display = 'block';
+}
+
+/**
+ * Draw a warning badge with the DPI on every object containing a low-resolution image
+ * (runs after each canvas render, so badges are never part of the design or exports)
+ */
+function drawLowResolutionBadges({ ctx }) {
+    // Badge labels would read backwards in the mirror preview
+    if (mirrorPreviewEnabled) return;
+
+    const zoom = canvas.getZoom();
+    const badgeHeight = 18 / zoom;
+
+    ctx.save();
+    ctx.transform(...canvas.viewportTransform);
+    ctx.font = `bold ${11 / zoom}px sans-serif`;
+    ctx.textBaseline = 'middle';
+
+    getUserObjects().forEach(obj => {
+        const lowestDpi = obj.visible ? getLowestEffectiveDpi(obj) : null;
+        if (lowestDpi === null || lowestDpi >= MIN_EFFECTIVE_DPI) return;
+
+        const bounds = obj.getBoundingRect();
+        const label = `⚠ ${Math.round(lowestDpi)} DPI`;
+        const badgeWidth = ctx.measureText(label).width + 10 / zoom;
+
+        ctx.fillStyle = 'rgba(220, 53, 69, 0.9)';
+        ctx.fillRect(bounds.left, bounds.top, badgeWidth, badgeHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(label, bounds.left + 5 / zoom, bounds.top + badgeHeight / 2);
+    });
+
+    ctx.restore();
+}
+
+/**
+ * Ask for confirmation before exporting sheets with low-resolution images
+ * @param {string[]} states - Serialized sheet states about to be exported
+ * @returns {boolean} true if the export should go ahead
+ */
+function confirmExportResolution(states) {
+    const lowResolution = [];
+    states.forEach((state, index) => {
+        collectSerializedImageDpi(JSON.parse(state).objects).forEach(dpi => {
+            if (dpi < MIN_EFFECTIVE_DPI) lowResolution.push({ sheetNumber: index + 1, dpi });
+        });
+    });
+    if (lowResolution.length === 0) return true;
+
+    const lowest = lowResolution.reduce((min, entry) => entry.dpi < min.dpi ? entry : min);
+    return confirm(
+        `${lowResolution.length} image(s) will print below ${MIN_EFFECTIVE_DPI} DPI and may look blurry ` +
+        `(lowest: ${Math.round(lowest.dpi)} DPI on sheet ${lowest.sheetNumber}).\n\nExport anyway?`
+    );
+}
+
+/**
+ * Effective DPI of every image in serialized objects, including images nested in groups
+ * @param {Object[]} objects - Serialized Fabric objects
+ * @param {number} [parentScale=1] - Scale of the enclosing groups
+ * @returns {number[]}
+ */
+function collectSerializedImageDpi(objects, parentScale = 1) {
+    if (!Array.isArray(objects)) return [];
+
+    return objects.flatMap(obj => {
+        const scale = parentScale * Math.max(Math.abs(obj.scaleX || 1), Math.abs(obj.scaleY || 1));
+        if (obj.type === 'Image' || obj.type === 'image') return [DESIGN_DPI / scale];
+        return collectSerializedImageDpi(obj.objects, scale);
+    });
+}
+
+/* ============================================
+   CUT CONTOURS
+   ============================================ */
+
+/**
+ * Show or hide the cut contour overlay on the canvas
+ * @param {boolean} visible
+ */
+function setCutContoursVisible(visible) {
+    cutContoursVisible = visible;
+    updateCutContourControls();
+    scheduleCutContourUpdate();
+}
+
+/**
+ * Change the distance between the artwork and its cut line (part of the design)
+ * @param {number} offsetMm
+ */
+function setCutContourOffset(offsetMm) {
+    if (!Number.isFinite(offsetMm)) {
+        updateCutContourControls();
+        return;
+    }
+
+    const clampedOffset = Math.min(CUT_CONTOUR_MAX_OFFSET_MM, Math.max(0, offsetMm));
+    if (clampedOffset !== cutContourOffsetMm) {
+        cutContourOffsetMm = clampedOffset;
+        scheduleCutContourUpdate();
+        saveState();
+    }
+    updateCutContourControls();
+}
+
+/**
+ * Sync the cut line toggle and offset input with the current settings
+ */
+function updateCutContourControls() {
+    const cutContourBtn = document.getElementById('cut-contour-btn');
+    const cutOffsetControls = document.getElementById('cut-offset-controls');
+    const cutOffsetInput = document.getElementById('cut-offset-input');
+
+    if (cutContourBtn) cutContourBtn.classList.toggle('active', cutContoursVisible);
+    if (cutOffsetControls) cutOffsetControls.style.display = cutContoursVisible ? 'flex' : 'none';
+    if (cutOffsetInput) cutOffsetInput.value = cutContourOffsetMm;
+}
+
+/**
+ * Rebuild the cut contour overlay shortly after the last change
+ */
+function scheduleCutContourUpdate() {
+    clearTimeout(cutContourTimeout);
+    cutContourTimeout = setTimeout(updateCutContourOverlay, 150);
+}
+
+/**
+ * Replace the cut contour overlay with contours around the current designs
+ */
+function updateCutContourOverlay() {
+    cutContourTimeout = null;
+    if (!canvas) return;
+
+    canvas.getObjects()
+        .filter(obj => obj.name === 'cutContour')
+        .forEach(obj => canvas.remove(obj));
+
+    if (cutContoursVisible) {
+        const polygons = getUserObjects()
+            .filter(obj => obj.visible)
+            .flatMap(obj => getObjectCutContours(obj, cutContourOffsetMm));
+        const pathData = polygonsToPathData(polygons);
+
+        if (pathData) {
+            const zoom = canvas.getZoom();
+            canvas.add(new fabric.Path(pathData, {
+                fill: '',
+                stroke: CUT_CONTOUR_DISPLAY_COLOR,
+                strokeWidth: 1.5 / zoom,
+                strokeDashArray: [6 / zoom, 3 / zoom],
+                objectCaching: false,
+                selectable: false,
+                evented: false,
+                name: 'cutContour'
+            }));
+        }
+    }
+    canvas.requestRenderAll();
+}
+
+/**
+ * Cut contours of an object as closed polygons in canvas coordinates, following its visible
+ * shape at the given distance. Traced shapes are cached by appearance, so moving an object
+ * or filling the sheet with copies does not trace it again.
+ * @param {fabric.FabricObject} obj
+ * @param {number} offsetMm
+ * @returns {number[][][]}
+ */
+function getObjectCutContours(obj, offsetMm) {
+    const key = `${offsetMm}|${getObjectShapeKey(obj)}`;
+    let polygons = cutContourCache.get(key);
+
+    if (!polygons) {
+        polygons = traceObjectCutContours(obj, offsetMm);
+        cutContourCache.set(key, polygons);
+        if (cutContourCache.size > CUT_CONTOUR_CACHE_LIMIT) {
+            cutContourCache.delete(cutContourCache.keys().next().value);
+        }
+    }
+
+    const center = obj.getCenterPoint();
+    return polygons.map(polygon => polygon.map(([x, y]) => [x + center.x, y + center.y]));
+}
+
+/**
+ * Key describing everything about an object's appearance except its position and any other
+ * ignored top-level properties (image data is reduced to its length and tail to keep the key short)
+ * @param {fabric.FabricObject} obj
+ * @param {string[]} [ignoredProperties]
+ * @returns {string}
+ */
+function getObjectShapeKey(obj, ignoredProperties = ['left', 'top']) {
+    const shape = obj.toObject(SERIALIZED_OBJECT_PROPERTIES);
+    // Layer names and locks do not change how a design looks
+    ['layerName', 'locked', ...ignoredProperties].forEach(property => delete shape[property]);
+    return JSON.stringify(shape, (key, value) => (
+        key === 'src' && typeof value === 'string' ? `${value.length}:${value.slice(-64)}` : value
+    ));
+}
+
+/**
+ * Trace the cut contours of an object: render it offscreen (with its outline), grow its opaque
+ * pixels by the offset, fill holes (only outer edges are cut) and trace the outlines
+ * @param {fabric.FabricObject} obj
+ * @param {number} offsetMm
+ * @returns {number[][][]} Polygons relative to the object centre
+ */
+function traceObjectCutContours(obj, offsetMm) {
+    const bounds = obj.getBoundingRect();
+    const center = obj.getCenterPoint();
+    const offsetPixels = offsetMm * MM_TO_PIXELS;
+    const marginPixels = offsetPixels + getOutlinePixels(obj);
+    const resolution = Math.min(
+        CUT_CONTOUR_RESOLUTION,
+        CUT_CONTOUR_MAX_SIZE / (Math.max(bounds.width, bounds.height) + marginPixels * 2)
+    );
+    const padding = Math.ceil(marginPixels * resolution) + 2;
+
+    const element = document.createElement('canvas');
+    element.width = Math.ceil(bounds.width * resolution) + padding * 2;
+    element.height = Math.ceil(bounds.height * resolution) + padding * 2;
+
+    const ctx = element.getContext('2d', { willReadFrequently: true });
+    ctx.translate(padding, padding);
+    ctx.scale(resolution, resolution);
+    ctx.translate(-bounds.left, -bounds.top);
+    ctx.transform(...obj.calcTransformMatrix());
+    drawObjectOutline(obj, ctx);
+    drawObjectSilhouette(obj, ctx);
+
+    const { width, height } = element;
+    const mask = dilateMask(
+        createAlphaMask(ctx.getImageData(0, 0, width, height), CUT_CONTOUR_ALPHA_THRESHOLD),
+        width,
+        height,
+        offsetPixels * resolution
+    );
+    fillMaskHoles(mask, width, height);
+
+    return traceMaskContours(mask, width, height)
+        .map(polygon => simplifyPolygon(polygon, CUT_CONTOUR_TOLERANCE).map(([x, y]) => [
+            (x - padding) / resolution + bounds.left - center.x,
+            (y - padding) / resolution + bounds.top - center.y
+        ]));
+}
+
+/**
+ * Cut contours of every design on a serialized sheet, in sheet millimetres as printed
+ * (mirrored for transfer products)
+ * @param {string} state - Serialized sheet state (see serializeCanvasState)
+ * @returns {Promise<number[][][]>}
+ */
+async function getSheetCutContoursMm(state) {
+    const { sheetCanvas, format, widthMm, cutOffsetMm } = await createOffscreenSheet(state);
+    try {
+        return sheetCanvas.getObjects()
+            .filter(obj => obj.visible)
+            .flatMap(obj => getObjectCutContours(obj, cutOffsetMm))
+            .map(polygon => polygon.map(([x, y]) => {
+                const xMm = x / MM_TO_PIXELS;
+                return [format.mirror ? widthMm - xMm : xMm, y / MM_TO_PIXELS];
+            }));
+    } finally {
+        sheetCanvas.dispose();
+    }
+}
+
+/**
+ * SVG group with the cut contours of a sheet, named after the cut spot colour
+ * @param {number[][][]} polygons - Canvas coordinates
+ * @returns {string}
+ */
+function buildCutContourSvg(polygons) {
+    const pathData = polygonsToPathData(polygons);
+    if (!pathData) return '';
+
+    const strokeWidth = formatSvgNumber(0.25 / PT_PER_MM * MM_TO_PIXELS); // 0.25pt hairline
+    return `<g id="${CUT_CONTOUR_SPOT_COLOR}" fill="none" stroke="${CUT_CONTOUR_DISPLAY_COLOR}" stroke-width="${strokeWidth}">\n` +
+        `<path d="${pathData}"/>\n</g>`;
+}
+
+/* ============================================
+   OUTLINE EFFECT
+   ============================================ */
+
+/**
+ * The designer canvas, drawing each design's outline right behind it
+ */
+class OutlinedCanvas extends fabric.Canvas {
+    _renderObjects(ctx, objects) {
+        renderObjectsWithOutlines(ctx, objects);
+    }
+}
+
+/**
+ * Offscreen export sheet, drawing outlines like the designer canvas
+ */
+class OutlinedStaticCanvas extends fabric.StaticCanvas {
+    _renderObjects(ctx, objects) {
+        renderObjectsWithOutlines(ctx, objects);
+    }
+}
+
+/**
+ * Render objects in stacking order, each one right after its outline (and the outlines of its
+ * group members), so an outline covers the designs below it but never its own artwork
+ * @param {CanvasRenderingContext2D} ctx - Context with the viewport transform applied
+ * @param {fabric.FabricObject[]} objects
+ */
+function renderObjectsWithOutlines(ctx, objects) {
+    objects.forEach(obj => {
+        if (!obj) return;
+        if (!obj.isNotVisible()) {
+            ctx.save();
+            obj.transform(ctx);
+            ctx.globalAlpha *= obj.opacity;
+            drawObjectOutline(obj, ctx);
+            ctx.restore();
+        }
+        obj.render(ctx);
+    });
+}
+
+/**
+ * Outline thickness of an object in design pixels (0 without an outline)
+ * @param {fabric.FabricObject} obj
+ * @returns {number}
+ */
+function getOutlinePixels(obj) {
+    return obj.outline ? obj.outline.widthMm * MM_TO_PIXELS : 0;
+}
+
+/**
+ * Bounding rectangle of an object in canvas coordinates, grown by its outline
+ * @param {fabric.FabricObject} obj
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function getOutlinedBoundingRect(obj) {
+    const bounds = obj.getBoundingRect();
+    const outlinePixels = getOutlinePixels(obj);
+    return {
+        left: bounds.left - outlinePixels,
+        top: bounds.top - outlinePixels,
+        width: bounds.width + outlinePixels * 2,
+        height: bounds.height + outlinePixels * 2
+    };
+}
+
+/**
+ * Apply the outline inputs to every selected object (a thickness of 0 removes the outline)
+ */
+function applyOutlineToSelection() {
+    const widthInput = document.getElementById('outline-width-input');
+    const colorInput = document.getElementById('outline-color-input');
+    const objects = canvas.getActiveObjects().filter(obj => !isBleedObject(obj));
+    const widthMm = parseFloat(widthInput.value);
+
+    if (objects.length > 0 && Number.isFinite(widthMm)) {
+        const clampedWidthMm = Math.min(OUTLINE_MAX_WIDTH_MM, Math.max(0, widthMm));
+        objects.forEach(obj => {
+            obj.set('outline', clampedWidthMm > 0 ? { color: colorInput.value, widthMm: clampedWidthMm } : null);
+        });
+        canvas.requestRenderAll();
+        scheduleCutContourUpdate();
+        saveState();
+    }
+    updateOutlineControls();
+}
+
+/**
+ * Sync the outline inputs with the selected object
+ */
+function updateOutlineControls() {
+    const widthInput = document.getElementById('outline-width-input');
+    const colorInput = document.getElementById('outline-color-input');
+    if (!widthInput || !colorInput) return;
+
+    const [obj] = canvas.getActiveObjects().filter(activeObj => !isBleedObject(activeObj));
+    widthInput.disabled = !obj;
+    colorInput.disabled = !obj;
+    if (!obj) return;
+
+    widthInput.value = obj.outline ? obj.outline.widthMm : 0;
+    if (obj.outline) colorInput.value = obj.outline.color;
+}
+
+/**
+ * Draw an object's outline, and those of its group members, onto a context set up in the object's
+ * own coordinate space
+ * @param {fabric.FabricObject} obj
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function drawObjectOutline(obj, ctx) {
+    const outline = obj.outline && getObjectOutline(obj);
+    if (outline) {
+        // The bitmap already contains scaling, skew and flips
+        ctx.save();
+        ctx.transform(...fabric.util.invertTransform(fabric.util.calcDimensionsMatrix(obj)));
+        ctx.drawImage(outline.element, -outline.width / 2, -outline.height / 2, outline.width, outline.height);
+        ctx.restore();
+    }
+
+    if (obj instanceof fabric.Group) {
+        obj.getObjects().filter(member => !member.isNotVisible()).forEach(member => {
+            ctx.save();
+            ctx.transform(...member.calcOwnMatrix());
+            ctx.globalAlpha *= member.opacity;
+            drawObjectOutline(member, ctx);
+            ctx.restore();
+        });
+    }
+}
+
+/**
+ * Draw an object's content without its position, opacity or shadow onto a context set up in
+ * the object's own coordinate space (group members are drawn relative to their group)
+ * @param {fabric.FabricObject} obj
+ * @param {CanvasRenderingContext2D} ctx
+ */
+function drawObjectSilhouette(obj, ctx) {
+    const transformDone = obj._transformDone;
+    obj._transformDone = true;
+    try {
+        obj.drawObject(ctx, false, {});
+    } finally {
+        obj._transformDone = transformDone;
+    }
+}
+
+/**
+ * Outline bitmap of an object, centred on the object and unrotated. Bitmaps are cached by
+ * appearance, so copies and rotated or moved objects share them.
+ * @param {fabric.FabricObject} obj
+ * @returns {{element: HTMLCanvasElement, width: number, height: number, resolution: number}|null}
+ */
+function getObjectOutline(obj) {
+    const { scaleX, scaleY, skewX, skewY, flipX, flipY, width, height, text } = obj;
+    const signature = JSON.stringify([obj.outline, scaleX, scaleY, skewX, skewY, flipX, flipY, width, height, text]);
+    const previous = outlineObjectCache.get(obj);
+    if (previous && previous.signature === signature) {
+        return previous.outline;
+    }
+
+    const { color, widthMm } = obj.outline;
+    const key = `${color}|${widthMm}|${getObjectShapeKey(obj, ['left', 'top', 'angle', 'opacity', 'outline'])}`;
+    let outline = outlineCache.get(key);
+    if (outline === undefined) {
+        outline = renderObjectOutline(obj);
+        outlineCache.set(key, outline);
+        if (outlineCache.size > OUTLINE_CACHE_LIMIT) {
+            outlineCache.delete(outlineCache.keys().next().value);
+        }
+    }
+
+    outlineObjectCache.set(obj, { signature, outline });
+    return outline;
+}
+
+/**
+ * Render an object's outline: draw its silhouette offscreen and colour every pixel within the
+ * outline thickness of it, with anti-aliased edges from the distance transform
+ * @param {fabric.FabricObject} obj
+ * @returns {{element: HTMLCanvasElement, width: number, height: number, resolution: number}|null}
+ */
+function renderObjectOutline(obj) {
+    const dimensionsMatrix = fabric.util.calcDimensionsMatrix(obj);
+    const halfWidth = (obj.width + (obj.strokeWidth || 0)) / 2;
+    const halfHeight = (obj.height + (obj.strokeWidth || 0)) / 2;
+    const corners = [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]
+        .map(([x, y]) => fabric.util.transformPoint(new fabric.Point(x, y), dimensionsMatrix));
+    const boxWidth = Math.max(...corners.map(p => Math.abs(p.x))) * 2;
+    const boxHeight = Math.max(...corners.map(p => Math.abs(p.y))) * 2;
+    if (!boxWidth || !boxHeight) return null;
+
+    const outlinePixels = getOutlinePixels(obj);
+    const resolution = Math.min(
+        OUTLINE_RESOLUTION,
+        OUTLINE_MAX_SIZE / (Math.max(boxWidth, boxHeight) + outlinePixels * 2)
+    );
+    const padding = Math.ceil(outlinePixels * resolution) + 2;
+
+    // Keep the bitmap symmetric around the object centre
+    const element = document.createElement('canvas');
+    element.width = Math.ceil(boxWidth * resolution / 2) * 2 + padding * 2;
+    element.height = Math.ceil(boxHeight * resolution / 2) * 2 + padding * 2;
+
+    const ctx = element.getContext('2d', { willReadFrequently: true });
+    ctx.translate(element.width / 2, element.height / 2);
+    ctx.scale(resolution, resolution);
+    ctx.transform(...dimensionsMatrix);
+    drawObjectSilhouette(obj, ctx);
+
+    const imageData = ctx.getImageData(0, 0, element.width, element.height);
+    const distances = squaredDistanceTransform(
+        createAlphaMask(imageData, OUTLINE_ALPHA_THRESHOLD),
+        element.width,
+        element.height
+    );
+    const radius = outlinePixels * resolution;
+    const [red, green, blue] = new fabric.Color(obj.outline.color).getSource();
+    const pixels = imageData.data;
+    for (let i = 0; i < distances.length; i++) {
+        const coverage = Math.min(1, Math.max(0, radius - Math.sqrt(distances[i]) + 0.5));
+        pixels[i * 4] = red;
+        pixels[i * 4 + 1] = green;
+        pixels[i * 4 + 2] = blue;
+        pixels[i * 4 + 3] = Math.round(coverage * 255);
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    return {
+        element,
+        width: element.width / resolution,
+        height: element.height / resolution,
+        resolution
+    };
+}
+
+/**
+ * SVG markup of an object's outline as a filled vector path, placed under the object
+ * @param {fabric.FabricObject} obj
+ * @returns {string}
+ */
+function buildObjectOutlineSvg(obj) {
+    const outline = obj.outline && getObjectOutline(obj);
+    if (!outline) return '';
+
+    const { element, width, height, resolution } = outline;
+    const imageData = element.getContext('2d').getImageData(0, 0, element.width, element.height);
+    const polygons = traceMaskContours(createAlphaMask(imageData), element.width, element.height)
+        .map(polygon => simplifyPolygon(polygon, CUT_CONTOUR_TOLERANCE));
+    const pathData = polygonsToPathData(polygons, ([x, y]) => [x / resolution - width / 2, y / resolution - height / 2]);
+    if (!pathData) return '';
+
+    const matrix = fabric.util.multiplyTransformMatrices(
+        obj.calcTransformMatrix(),
+        fabric.util.invertTransform(fabric.util.calcDimensionsMatrix(obj))
+    );
+    const opacity = obj.opacity < 1 ? ` opacity="${formatSvgNumber(obj.opacity)}"` : '';
+    return `<path transform="matrix(${matrix.map(formatSvgNumber).join(' ')})" fill="${obj.outline.color}" ` +
+        `fill-rule="evenodd"${opacity} d="${pathData}"/>\n`;
+}
+
+/* ============================================
+   TRANSFORM PANEL
+   ============================================ */
+
+/**
+ * Wire up the position, size and rotation fields. Typing updates the selection live,
+ * committing a field (Enter or leaving it) records one undo step.
+ */
+function initTransformPanel() {
+    const panel = document.getElementById('transform-panel');
+    const unitSelect = document.getElementById('transform-unit-select');
+    const lockBtn = document.getElementById('transform-lock-btn');
+
+    if (!panel) return;
+
+    panel.querySelectorAll('[data-transform]').forEach(input => {
+        input.addEventListener('input', () => applyTransformInput(input.dataset.transform, parseFloat(input.value)));
+        input.addEventListener('change', commitTransformInput);
+    });
+    if (unitSelect) {
+        unitSelect.value = transformUnit;
+        unitSelect.addEventListener('change', () => {
+            transformUnit = unitSelect.value;
+            updateTransformPanel();
+        });
+    }
+    if (lockBtn) {
+        lockBtn.addEventListener('click', () => {
+            transformAspectLocked = !transformAspectLocked;
+            updateTransformPanel();
+        });
+    }
+    updateTransformPanel();
+}
+
+/**
+ * Object (or active selection) the transform panel edits
+ * @returns {fabric.FabricObject|null}
+ */
+function getTransformTarget() {
+    const activeObject = canvas && canvas.getActiveObject();
+    return activeObject && !isBleedObject(activeObject) ? activeObject : null;
+}
+
+/**
+ * Canvas pixels per unit shown in the transform panel
+ * @returns {number}
+ */
+function getTransformUnitPixels() {
+    return transformUnit === 'cm' ? MM_TO_PIXELS * 10 : MM_TO_PIXELS;
+}
+
+/**
+ * Show the position (top left of the bounding box, from the sheet edge), size and rotation of the selection
+ * @param {{includeFocused?: boolean}} [options] - Also refresh the field being edited
+ */
+function updateTransformPanel({ includeFocused = false } = {}) {
+    const panel = document.getElementById('transform-panel');
+    const lockBtn = document.getElementById('transform-lock-btn');
+    if (!panel) return;
+
+    const target = getTransformTarget();
+    const unitPixels = getTransformUnitPixels();
+    let values = null;
+    if (target) {
+        target.setCoords();
+        const bounds = target.getBoundingRect();
+        values = {
+            x: bounds.left / unitPixels,
+            y: bounds.top / unitPixels,
+            width: target.getScaledWidth() / unitPixels,
+            height: target.getScaledHeight() / unitPixels,
+            angle: target.angle
+        };
+    }
+
+    panel.querySelectorAll('[data-transform]').forEach(input => {
+        const property = input.dataset.transform;
+        input.disabled = !target;
+        if (property !== 'angle') input.step = transformUnit === 'cm' ? '0.1' : '1';
+        if (!target) {
+            input.value = '';
+        } else if (includeFocused || input !== document.activeElement) {
+            input.value = Number(values[property].toFixed(property === 'angle' || transformUnit === 'mm' ? 1 : 2));
+        }
+    });
+
+    if (lockBtn) {
+        lockBtn.disabled = !target;
+        lockBtn.classList.toggle('active', transformAspectLocked);
+        lockBtn.textContent = transformAspectLocked ? '🔒' : '🔓';
+    }
+}
+
+/**
+ * Apply a transform panel value to the selection while typing (no undo step yet)
+ * @param {string} property - 'x', 'y', 'width', 'height' or 'angle'
+ * @param {number} value - In the panel unit (degrees for the angle)
+ */
+function applyTransformInput(property, value) {
+    const target = getTransformTarget();
+    if (!target || !Number.isFinite(value)) return;
+
+    const unitPixels = getTransformUnitPixels();
+    target.setCoords();
+
+    if (property === 'x' || property === 'y') {
+        const key = property === 'x' ? 'left' : 'top';
+        target.set(key, target[key] + value * unitPixels - target.getBoundingRect()[key]);
+    } else if (property === 'width' || property === 'height') {
+        const isWidth = property === 'width';
+        const currentSize = isWidth ? target.getScaledWidth() : target.getScaledHeight();
+        if (value <= 0 || currentSize <= 0) return;
+
+        const ratio = value * unitPixels / currentSize;
+        if (transformAspectLocked) {
+            target.set({ scaleX: target.scaleX * ratio, scaleY: target.scaleY * ratio });
+        } else {
+            const scaleKey = isWidth ? 'scaleX' : 'scaleY';
+            target.set(scaleKey, target[scaleKey] * ratio);
+        }
+    } else if (property === 'angle') {
+        target.rotate(((value % 360) + 360) % 360);
+    }
+
+    target.setCoords();
+    canvas.requestRenderAll();
+    updateTransformPanel();
+}
+
+/**
+ * Finish editing a transform field: one undo step, and the field shows the rounded result
+ */
+function commitTransformInput() {
+    const target = getTransformTarget();
+    if (!target) return;
+
+    canvas.fire('object:modified', { target });
+    updateTransformPanel({ includeFocused: true });
+}
+
+/* ============================================
+   ALIGN AND DISTRIBUTE
+   ============================================ */
+
+/**
+ * Wire up the align and distribute buttons
+ */
+function initAlignControls() {
+    const distributeModeSelect = document.getElementById('distribute-mode-select');
+
+    document.querySelectorAll('[data-align]').forEach(button => {
+        button.addEventListener('click', () => alignSelection(button.dataset.align));
+    });
+    document.querySelectorAll('[data-distribute]').forEach(button => {
+        button.addEventListener('click', () => distributeSelection(button.dataset.distribute));
+    });
+    if (distributeModeSelect) distributeModeSelect.addEventListener('change', updateAlignControls);
+    updateAlignControls();
+}
+
+/**
+ * Enable the buttons that apply to the selection and show the gap field for fixed gaps
+ */
+function updateAlignControls() {
+    const selectedCount = canvas ? canvas.getActiveObjects().filter(obj => !isBleedObject(obj)).length : 0;
+    const distributeModeSelect = document.getElementById('distribute-mode-select');
+    const gapControls = document.getElementById('distribute-gap-controls');
+
+    document.querySelectorAll('[data-align]').forEach(button => {
+        button.disabled = selectedCount === 0;
+    });
+    document.querySelectorAll('[data-distribute]').forEach(button => {
+        button.disabled = selectedCount < 2;
+    });
+    if (gapControls && distributeModeSelect) {
+        gapControls.style.display = distributeModeSelect.value === 'gap' ? 'flex' : 'none';
+    }
+}
+
+/**
+ * Rectangle designs are aligned to: the selection's bounding box, the safe area (inside the bleed)
+ * or the whole sheet. A single design is aligned to the safe area instead of itself.
+ * @param {fabric.FabricObject[]} objects
+ * @returns {{left: number, top: number, right: number, bottom: number}}
+ */
+function getAlignReferenceRect(objects) {
+    const referenceSelect = document.getElementById('align-reference-select');
+    const reference = referenceSelect ? referenceSelect.value : 'selection';
+    const zoom = canvas.getZoom() || 1;
+    const width = canvas.width / zoom;
+    const height = canvas.height / zoom;
+
+    if (reference === 'sheet') {
+        return { left: 0, top: 0, right: width, bottom: height };
+    }
+    if (reference === 'safe' || objects.length < 2) {
+        const bleedPixels = getBleedPixels();
+        return { left: bleedPixels, top: bleedPixels, right: width - bleedPixels, bottom: height - bleedPixels };
+    }
+
+    return objects.map(obj => obj.getBoundingRect()).reduce((rect, bounds) => ({
+        left: Math.min(rect.left, bounds.left),
+        top: Math.min(rect.top, bounds.top),
+        right: Math.max(rect.right, bounds.left + bounds.width),
+        bottom: Math.max(rect.bottom, bounds.top + bounds.height)
+    }), { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+}
+
+/**
+ * Take the selected designs out of the active selection, so they can be moved in canvas coordinates
+ * @returns {fabric.FabricObject[]}
+ */
+function releaseSelectedObjects() {
+    if (mirrorPreviewEnabled) return [];
+
+    const objects = canvas.getActiveObjects().filter(obj => !isBleedObject(obj));
+    canvas.discardActiveObject();
+    objects.forEach(obj => obj.setCoords());
+    return objects;
+}
+
+/**
+ * Select the rearranged designs again and record the change as one undo step
+ * @param {fabric.FabricObject[]} objects
+ */
+function reselectObjects(objects) {
+    const selection = objects.length > 1 ? new fabric.ActiveSelection(objects, { canvas: canvas }) : objects[0];
+    canvas.setActiveObject(selection);
+    canvas.fire('object:modified', { target: selection });
+    canvas.requestRenderAll();
+    updateToolbarState();
+}
+
+/**
+ * Line up the selected designs
+ * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+ */
+function alignSelection(edge) {
+    const objects = releaseSelectedObjects();
+    if (objects.length === 0) return;
+
+    const reference = getAlignReferenceRect(objects);
+    objects.forEach(obj => {
+        const bounds = obj.getBoundingRect();
+        if (['left', 'center', 'right'].includes(edge)) {
+            const left = edge === 'left' ? reference.left
+                : edge === 'right' ? reference.right - bounds.width
+                    : (reference.left + reference.right - bounds.width) / 2;
+            obj.set('left', obj.left + left - bounds.left);
+        } else {
+            const top = edge === 'top' ? reference.top
+                : edge === 'bottom' ? reference.bottom - bounds.height
+                    : (reference.top + reference.bottom - bounds.height) / 2;
+            obj.set('top', obj.top + top - bounds.top);
+        }
+        obj.setCoords();
+    });
+
+    reselectObjects(objects);
+}
+
+/**
+ * Space the selected designs out in a row or column, from the start of the reference rectangle:
+ * with equal gaps so the row fills the reference, or with the fixed gap entered in mm
+ * @param {string} direction - 'horizontal' or 'vertical'
+ */
+function distributeSelection(direction) {
+    if (canvas.getActiveObjects().filter(obj => !isBleedObject(obj)).length < 2) return;
+
+    const objects = releaseSelectedObjects();
+    if (objects.length < 2) return;
+
+    const distributeModeSelect = document.getElementById('distribute-mode-select');
+    const gapInput = document.getElementById('distribute-gap-input');
+    const [start, end, size] = direction === 'horizontal' ? ['left', 'right', 'width'] : ['top', 'bottom', 'height'];
+    const reference = getAlignReferenceRect(objects);
+    const items = objects
+        .map(obj => ({ obj, bounds: obj.getBoundingRect() }))
+        .sort((a, b) => a.bounds[start] - b.bounds[start]);
+
+    let gap;
+    if (distributeModeSelect && distributeModeSelect.value === 'gap') {
+        gap = Math.max(0, parseFloat(gapInput && gapInput.value) || 0) * MM_TO_PIXELS;
+    } else {
+        const totalSize = items.reduce((sum, { bounds }) => sum + bounds[size], 0);
+        gap = (reference[end] - reference[start] - totalSize) / (items.length - 1);
+    }
+
+    let position = reference[start];
+    items.forEach(({ obj, bounds }) => {
+        obj.set(start, obj[start] + position - bounds[start]);
+        obj.setCoords();
+        position += bounds[size] + gap;
+    });
+
+    reselectObjects(objects);
+}
+
+/* ============================================
+   LAYERS PANEL
+   ============================================ */
+
+/**
+ * Wire up the layers panel (select, rename, show/hide, lock and drag to reorder)
+ */
+function initLayersPanel() {
+    const layersList = document.getElementById('layers-list');
+    if (!layersList) return;
+
+    layersList.addEventListener('click', (e) => {
+        const row = e.target.closest('.layer-row');
+        const obj = row && layerRowObjects.get(row);
+        if (!obj) return;
+
+        const actionBtn = e.target.closest('[data-layer-action]');
+        if (!actionBtn) {
+            selectLayer(obj, e.shiftKey || e.ctrlKey || e.metaKey);
+        } else if (actionBtn.dataset.layerAction === 'visibility') {
+            setLayerVisible(obj, !obj.visible);
+        } else if (actionBtn.dataset.layerAction === 'lock') {
+            setLayerLocked(obj, !obj.locked);
+        }
+    });
+
+    layersList.addEventListener('dblclick', (e) => {
+        const row = e.target.closest('.layer-row');
+        if (row && !e.target.closest('[data-layer-action]')) renameLayer(layerRowObjects.get(row));
+    });
+
+    // Drag and drop to reorder, dropping below the last row sends a layer to the back
+    let draggedObject = null;
+    layersList.addEventListener('dragstart', (e) => {
+        const row = e.target.closest('.layer-row');
+        if (!row) return;
+        draggedObject = layerRowObjects.get(row);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', getDesignLabel(draggedObject));
+        row.classList.add('dragging');
+    });
+
+    layersList.addEventListener('dragover', (e) => {
+        if (!draggedObject) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+    });
+
+    layersList.addEventListener('drop', (e) => {
+        if (!draggedObject) return;
+        e.preventDefault();
+        const row = e.target.closest('.layer-row');
+        moveLayer(draggedObject, row ? layerRowObjects.get(row) : getUserObjects()[0]);
+        draggedObject = null;
+    });
+
+    layersList.addEventListener('dragend', () => {
+        draggedObject = null;
+        layersList.querySelectorAll('.layer-row.dragging').forEach(row => row.classList.remove('dragging'));
+    });
+
+    renderLayersPanel();
+}
+
+/**
+ * Rebuild the layers panel shortly after the last change
+ */
+function scheduleLayersPanelUpdate() {
+    clearTimeout(layersPanelTimeout);
+    layersPanelTimeout = setTimeout(renderLayersPanel, 150);
+}
+
+/**
+ * List the user objects, top layer first like their stacking on the sheet
+ */
+function renderLayersPanel() {
+    clearTimeout(layersPanelTimeout);
+    layersPanelTimeout = null;
+
+    const layersList = document.getElementById('layers-list');
+    const template = document.getElementById('layer-row-template');
+    const layersCount = document.getElementById('layers-count');
+    const layersEmpty = document.getElementById('layers-empty');
+    if (!layersList || !template || !canvas) return;
+
+    const objects = getUserObjects().reverse();
+    layersList.replaceChildren(...objects.map(obj => {
+        const row = template.content.firstElementChild.cloneNode(true);
+        const visibilityBtn = row.querySelector('.layer-visibility-btn');
+        const lockBtn = row.querySelector('.layer-lock-btn');
+
+        layerRowObjects.set(row, obj);
+        row.classList.toggle('hidden-layer', !obj.visible);
+        row.classList.toggle('locked-layer', obj.locked === true);
+        row.querySelector('.layer-thumbnail').src = getLayerThumbnail(obj);
+        row.querySelector('.layer-name').textContent = getDesignLabel(obj);
+        visibilityBtn.textContent = obj.visible ? '👁' : '◌';
+        visibilityBtn.title = obj.visible ? 'Hide (hidden designs are not printed)' : 'Show';
+        lockBtn.textContent = obj.locked ? '🔒' : '🔓';
+        lockBtn.title = obj.locked ? 'Unlock' : 'Lock in place';
+        return row;
+    }));
+
+    if (layersCount) layersCount.textContent = objects.length > 0 ? `(${objects.length})` : '';
+    if (layersEmpty) layersEmpty.style.display = objects.length === 0 ? 'block' : 'none';
+    updateLayersSelection();
+}
+
+/**
+ * Highlight the rows of the selected objects and scroll the list to a single selected one
+ */
+function updateLayersSelection() {
+    const layersList = document.getElementById('layers-list');
+    if (!layersList || !canvas) return;
+
+    const selectedObjects = canvas.getActiveObjects();
+    const selectedRows = [];
+    layersList.querySelectorAll('.layer-row').forEach(row => {
+        const selected = selectedObjects.includes(layerRowObjects.get(row));
+        row.classList.toggle('selected', selected);
+        row.setAttribute('aria-selected', selected ? 'true' : 'false');
+        if (selected) selectedRows.push(row);
+    });
+
+    // Scroll the list only, not the page
+    if (selectedRows.length === 1) {
+        const [row] = selectedRows;
+        if (row.offsetTop < layersList.scrollTop) {
+            layersList.scrollTop = row.offsetTop;
+        } else if (row.offsetTop + row.offsetHeight > layersList.scrollTop + layersList.clientHeight) {
+            layersList.scrollTop = row.offsetTop + row.offsetHeight - layersList.clientHeight;
+        }
+    }
+}
+
+/**
+ * Preview image of a layer. Previews are cached by appearance, so copies share them.
+ * @param {fabric.FabricObject} obj
+ * @returns {string} PNG data URL
+ */
+function getLayerThumbnail(obj) {
+    const key = getObjectShapeKey(obj, ['left', 'top', 'visible']);
+    let thumbnail = layerThumbnailCache.get(key);
+    if (thumbnail === undefined) {
+        // Hidden layers still show what they contain
+        const visible = obj.visible;
+        obj.visible = true;
+        try {
+            thumbnail = getDesignThumbnail(obj, LAYER_THUMBNAIL_SIZE);
+        } finally {
+            obj.visible = visible;
+        }
+        layerThumbnailCache.set(key, thumbnail);
+        if (layerThumbnailCache.size > LAYER_THUMBNAIL_CACHE_LIMIT) {
+            layerThumbnailCache.delete(layerThumbnailCache.keys().next().value);
+        }
+    }
+    return thumbnail;
+}
+
+/**
+ * Select a layer's object on the canvas, or add it to (or take it out of) the selection
+ * @param {fabric.FabricObject} obj
+ * @param {boolean} additive - Shift/Ctrl-click
+ */
+function selectLayer(obj, additive) {
+    if (!obj.visible || !obj.selectable || mirrorPreviewEnabled) return;
+
+    const selectedObjects = additive ? canvas.getActiveObjects().filter(activeObj => !isBleedObject(activeObj)) : [];
+    const objects = selectedObjects.includes(obj)
+        ? selectedObjects.filter(selectedObj => selectedObj !== obj)
+        : [...selectedObjects, obj];
+
+    canvas.discardActiveObject();
+    if (objects.length > 1) {
+        canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas: canvas }));
+    } else if (objects.length === 1) {
+        canvas.setActiveObject(objects[0]);
+    }
+    canvas.requestRenderAll();
+    updateToolbarState();
+}
+
+/**
+ * Rename a layer via a prompt (an empty name goes back to the default name)
+ * @param {fabric.FabricObject} obj
+ */
+function renameLayer(obj) {
+    if (!obj) return;
+
+    const currentName = getDesignLabel(obj);
+    const name = prompt('Layer name:', currentName);
+    if (name === null || name.trim() === currentName) return;
+
+    obj.set('layerName', name.trim() || null);
+    renderLayersPanel();
+    saveState();
+}
+
+/**
+ * Show or hide a layer. Hidden designs stay in the design but are not shown, selected or printed.
+ * @param {fabric.FabricObject} obj
+ * @param {boolean} visible
+ */
+function setLayerVisible(obj, visible) {
+    obj.set('visible', visible);
+    if (!visible) releaseLayerSelection(obj);
+
+    canvas.requestRenderAll();
+    scheduleCutContourUpdate();
+    renderLayersPanel();
+    saveState();
+}
+
+/**
+ * Lock a layer in place (it can no longer be selected, moved or resized) or unlock it
+ * @param {fabric.FabricObject} obj
+ * @param {boolean} locked
+ */
+function setLayerLocked(obj, locked) {
+    obj.set('locked', locked);
+    applyLayerLock(obj);
+    if (locked) releaseLayerSelection(obj);
+
+    renderLayersPanel();
+    saveState();
+}
+
+/**
+ * Make an object's interactivity match its lock. The lock is saved with the object, this is
+ * reapplied whenever it is loaded or copied.
+ * @param {fabric.FabricObject} obj
+ */
+function applyLayerLock(obj) {
+    const locked = obj.locked === true;
+    obj.set({ selectable: !locked, evented: !locked });
+}
+
+/**
+ * Drop the selection if it contains an object that can no longer be selected
+ * @param {fabric.FabricObject} obj
+ */
+function releaseLayerSelection(obj) {
+    if (!canvas.getActiveObjects().includes(obj)) return;
+    canvas.discardActiveObject();
+    updateToolbarState();
+}
+
+/**
+ * Move a layer to the position of another one in the stacking order
+ * @param {fabric.FabricObject} obj
+ * @param {fabric.FabricObject} target - Layer whose place it takes
+ */
+function moveLayer(obj, target) {
+    if (!obj || !target || obj === target || !canvas.contains(obj) || !canvas.contains(target)) return;
+
+    canvas.moveObjectTo(obj, canvas.getObjects().indexOf(target));
+    bringBleedObjectsToFront();
+    canvas.requestRenderAll();
+    renderLayersPanel();
+    saveState();
+}
+
+/* ============================================
+   GRID AND SNAPPING
+   ============================================ */
+
+/**
+ * Wire up the grid and snapping controls
+ */
+function initSnapControls() {
+    const gridBtn = document.getElementById('grid-btn');
+    const gridSizeInput = document.getElementById('grid-size-input');
+    const snapBtn = document.getElementById('snap-btn');
+
+    if (gridBtn) gridBtn.addEventListener('click', () => setGridVisible(!gridVisible));
+    if (snapBtn) snapBtn.addEventListener('click', () => setSnapEnabled(!snapEnabled));
+    if (gridSizeInput) {
+        gridSizeInput.min = GRID_MIN_SIZE_MM;
+        gridSizeInput.max = GRID_MAX_SIZE_MM;
+        gridSizeInput.addEventListener('change', () => setGridSize(parseFloat(gridSizeInput.value)));
+    }
+    updateSnapControls();
+}
+
+/**
+ * Show or hide the millimetre grid (designs snap to it while it is shown)
+ * @param {boolean} visible
+ */
+function setGridVisible(visible) {
+    gridVisible = visible;
+    updateSnapControls();
+    canvas.requestRenderAll();
+}
+
+/**
+ * Change the grid spacing
+ * @param {number} sizeMm
+ */
+function setGridSize(sizeMm) {
+    if (Number.isFinite(sizeMm)) {
+        gridSizeMm = Math.min(GRID_MAX_SIZE_MM, Math.max(GRID_MIN_SIZE_MM, sizeMm));
+        canvas.requestRenderAll();
+    }
+    updateSnapControls();
+}
+
+/**
+ * Turn snapping to the grid, other designs and the safe area on or off
+ * @param {boolean} enabled
+ */
+function setSnapEnabled(enabled) {
+    snapEnabled = enabled;
+    updateSnapControls();
+}
+
+/**
+ * Reflect the grid and snapping settings in the toolbar
+ */
+function updateSnapControls() {
+    const gridBtn = document.getElementById('grid-btn');
+    const gridSizeControls = document.getElementById('grid-size-controls');
+    const gridSizeInput = document.getElementById('grid-size-input');
+    const snapBtn = document.getElementById('snap-btn');
+
+    if (gridBtn) gridBtn.classList.toggle('active', gridVisible);
+    if (gridSizeControls) gridSizeControls.style.display = gridVisible ? 'flex' : 'none';
+    if (gridSizeInput) gridSizeInput.value = gridSizeMm;
+    if (snapBtn) snapBtn.classList.toggle('active', snapEnabled);
+}
+
+/**
+ * Lines a moving or scaling object snaps to: the safe area edges, the sheet centre and the
+ * edges and centres of the other designs
+ * @param {fabric.FabricObject} target - Object (or active selection) being transformed
+ * @returns {{x: number[], y: number[]}} Vertical and horizontal lines in canvas coordinates
+ */
+function getSnapLines(target) {
+    const zoom = canvas.getZoom() || 1;
+    const width = canvas.width / zoom;
+    const height = canvas.height / zoom;
+    const bleedPixels = getBleedPixels();
+    const transformed = new Set(target.type === 'activeselection' ? target.getObjects() : [target]);
+    const lines = {
+        x: [bleedPixels, width / 2, width - bleedPixels],
+        y: [bleedPixels, height / 2, height - bleedPixels]
+    };
+
+    getUserObjects().forEach(obj => {
+        if (transformed.has(obj) || !obj.visible) return;
+        const bounds = obj.getBoundingRect();
+        lines.x.push(bounds.left, bounds.left + bounds.width / 2, bounds.left + bounds.width);
+        lines.y.push(bounds.top, bounds.top + bounds.height / 2, bounds.top + bounds.height);
+    });
+    return lines;
+}
+
+/**
+ * Closest snap of some object edges along one axis. Lines win over grid lines at the same distance.
+ * @param {number[]} edges - Object edges (and centre) that may snap
+ * @param {number[]} lines - See getSnapLines
+ * @param {number} threshold - Largest distance that still snaps
+ * @returns {{offset: number, edge: number, guide: number|null}|null} guide is null for grid snaps
+ */
+function findSnap(edges, lines, threshold) {
+    const gridSpacing = gridVisible ? gridSizeMm * MM_TO_PIXELS : 0;
+    let best = null;
+    const consider = (edge, position, guide) => {
+        const offset = position - edge;
+        if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+            best = { offset, edge, guide };
+        }
+    };
+
+    edges.forEach(edge => {
+        lines.forEach(line => consider(edge, line, line));
+        if (gridSpacing > 0) consider(edge, Math.round(edge / gridSpacing) * gridSpacing, null);
+    });
+    return best;
+}
+
+/**
+ * Whether snapping applies to a transform event (Alt places freely)
+ * @param {{target: fabric.FabricObject, e?: Event}} event
+ * @returns {boolean}
+ */
+function shouldSnap({ target, e }) {
+    return snapEnabled && !(e && e.altKey) && !isBleedObject(target);
+}
+
+/**
+ * Snap a dragged object's edges or centre to nearby lines (object:moving)
+ */
+function snapMovingObject(event) {
+    snapGuides = [];
+    if (!shouldSnap(event)) return;
+
+    const { target } = event;
+    target.setCoords();
+    const bounds = target.getBoundingRect();
+    const threshold = SNAP_DISTANCE / (canvas.getZoom() || 1);
+    const lines = getSnapLines(target);
+    const snapX = findSnap([bounds.left, bounds.left + bounds.width / 2, bounds.left + bounds.width], lines.x, threshold);
+    const snapY = findSnap([bounds.top, bounds.top + bounds.height / 2, bounds.top + bounds.height], lines.y, threshold);
+
+    if (snapX) {
+        target.set('left', target.left + snapX.offset);
+        if (snapX.guide !== null) snapGuides.push({ axis: 'x', position: snapX.guide });
+    }
+    if (snapY) {
+        target.set('top', target.top + snapY.offset);
+        if (snapY.guide !== null) snapGuides.push({ axis: 'y', position: snapY.guide });
+    }
+    target.setCoords();
+}
+
+/**
+ * Snap the edges moved by a scaling handle to nearby lines (object:scaling). Only applies to
+ * unrotated, unflipped objects, whose edges line up with the handles.
+ */
+function snapScalingObject(event) {
+    snapGuides = [];
+    const { target, transform, e } = event;
+    if (!shouldSnap(event) || !transform || target.angle % 360 !== 0 || target.flipX || target.flipY) return;
+
+    target.setCoords();
+    const bounds = target.getBoundingRect();
+    const threshold = SNAP_DISTANCE / (canvas.getZoom() || 1);
+    const lines = getSnapLines(target);
+    const toFraction = origin => (typeof origin === 'number' ? origin : { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 }[origin]);
+
+    // Snap the moving edge of one axis, keeping the anchor (the opposite edge or the centre) in place
+    const snapAxis = (handleSides, origin, start, size, axisLines) => {
+        const handleSide = handleSides.find(side => transform.corner.includes(side));
+        if (!handleSide) return null;
+
+        const anchorFraction = toFraction(origin);
+        const movingFraction = anchorFraction === 0.5 ? handleSides.indexOf(handleSide) : 1 - anchorFraction;
+        const anchor = start + size * anchorFraction;
+        const snap = findSnap([start + size * movingFraction], axisLines, threshold);
+        if (!snap) return null;
+
+        const newSize = (snap.edge + snap.offset - anchor) / (movingFraction - anchorFraction);
+        return newSize > 0 ? { ratio: newSize / size, distance: Math.abs(snap.offset), guide: snap.guide } : null;
+    };
+    const snapX = snapAxis(['l', 'r'], transform.originX, bounds.left, bounds.width, lines.x);
+    const snapY = snapAxis(['t', 'b'], transform.originY, bounds.top, bounds.height, lines.y);
+    if (!snapX && !snapY) return;
+
+    const anchorPoint = target.translateToOriginPoint(target.getCenterPoint(), transform.originX, transform.originY);
+    const isCorner = transform.corner.length === 2 && !transform.corner.startsWith('m');
+    const proportional = isCorner && canvas.uniformScaling !== Boolean(e && e[canvas.uniScaleKey]);
+
+    if (proportional) {
+        const snap = snapX && (!snapY || snapX.distance <= snapY.distance) ? snapX : snapY;
+        target.set({ scaleX: target.scaleX * snap.ratio, scaleY: target.scaleY * snap.ratio });
+        if (snap.guide !== null) snapGuides.push({ axis: snap === snapX ? 'x' : 'y', position: snap.guide });
+    } else {
+        if (snapX) {
+            target.set('scaleX', target.scaleX * snapX.ratio);
+            if (snapX.guide !== null) snapGuides.push({ axis: 'x', position: snapX.guide });
+        }
+        if (snapY) {
+            target.set('scaleY', target.scaleY * snapY.ratio);
+            if (snapY.guide !== null) snapGuides.push({ axis: 'y', position: snapY.guide });
+        }
+    }
+    target.setPositionByOrigin(anchorPoint, transform.originX, transform.originY);
+    target.setCoords();
+}
+
+/**
+ * Hide the guide lines once the transform ends
+ */
+function clearSnapGuides() {
+    if (snapGuides.length === 0) return;
+    snapGuides = [];
+    canvas.requestRenderAll();
+}
+
+/**
+ * Draw the millimetre grid over the sheet (after:render)
+ */
+function drawSnapGrid({ ctx }) {
+    if (!gridVisible) return;
+
+    const zoom = canvas.getZoom() || 1;
+    const width = canvas.width / zoom;
+    const height = canvas.height / zoom;
+    const spacing = gridSizeMm * MM_TO_PIXELS;
+
+    ctx.save();
+    ctx.transform(...canvas.viewportTransform);
+    ctx.lineWidth = 1 / zoom;
+    [{ color: GRID_COLOR, major: false }, { color: GRID_MAJOR_COLOR, major: true }].forEach(({ color, major }) => {
+        const isDrawn = i => (i % GRID_MAJOR_EVERY === 0) === major;
+        ctx.beginPath();
+        for (let i = 0; i * spacing <= width; i++) {
+            if (!isDrawn(i)) continue;
+            ctx.moveTo(i * spacing, 0);
+            ctx.lineTo(i * spacing, height);
+        }
+        for (let i = 0; i * spacing <= height; i++) {
+            if (!isDrawn(i)) continue;
+            ctx.moveTo(0, i * spacing);
+            ctx.lineTo(width, i * spacing);
+        }
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+/**
+ * Draw the guide lines of the current snap (after:render)
+ */
+function drawSnapGuides({ ctx }) {
+    if (snapGuides.length === 0) return;
+
+    const zoom = canvas.getZoom() || 1;
+    const width = canvas.width / zoom;
+    const height = canvas.height / zoom;
+
+    ctx.save();
+    ctx.transform(...canvas.viewportTransform);
+    ctx.lineWidth = 1 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    ctx.strokeStyle = SNAP_GUIDE_COLOR;
+    ctx.beginPath();
+    snapGuides.forEach(({ axis, position }) => {
+        if (axis === 'x') {
+            ctx.moveTo(position, 0);
+            ctx.lineTo(position, height);
+        } else {
+            ctx.moveTo(0, position);
+            ctx.lineTo(width, position);
+        }
+    });
+    ctx.stroke();
+    ctx.restore();
+}
+
+/* ============================================
+   FILL DIALOG
+   ============================================ */
+
+/**
+ * Wire up the Auto Fill dialog
+ */
+function initFillDialog() {
+    const fillDialog = document.getElementById('fill-dialog');
+    const closeBtn = document.getElementById('close-fill-dialog-btn');
+    const cancelBtn = document.getElementById('fill-cancel-btn');
+    const startBtn = document.getElementById('fill-start-btn');
+
+    if (!fillDialog) return;
+
+    if (closeBtn) closeBtn.addEventListener('click', hideFillDialog);
+    if (cancelBtn) cancelBtn.addEventListener('click', hideFillDialog);
+    if (startBtn) startBtn.addEventListener('click', startFillFromDialog);
+
+    fillDialog.addEventListener('click', (e) => {
+        if (e.target === fillDialog) {
+            hideFillDialog();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && fillDialog.classList.contains('show')) {
+            hideFillDialog();
+        }
+    });
+}
+
+/**
+ * Show the Auto Fill dialog with a target row for every distinct design on the sheet
+ */
+function showFillDialog() {
+    const fillDialog = document.getElementById('fill-dialog');
+    const designList = document.getElementById('fill-design-list');
+    const template = document.getElementById('fill-design-row-template');
+    const designs = getFillDesigns();
+
+    if (designs.length === 0) {
+        alert('Please add some images first!');
+        return;
+    }
+    if (!fillDialog || !designList || !template) {
+        fillSheet();
+        return;
+    }
+
+    designList.replaceChildren(...designs.map(({ original, copies }) => {
+        const row = template.content.firstElementChild.cloneNode(true);
+        const thumbnail = row.querySelector('.fill-design-thumbnail');
+        const modeSelect = row.querySelector('.fill-design-mode');
+        const valueInput = row.querySelector('.fill-design-value');
+        const unit = row.querySelector('.fill-design-unit');
+
+        thumbnail.src = getDesignThumbnail(original);
+        row.querySelector('.fill-design-name').textContent = getDesignLabel(original);
+        row.querySelector('.fill-design-copies').textContent = `${copies.length} on the sheet`;
+
+        // The value is a weight or a number of copies, depending on the mode
+        const updateValueInput = () => {
+            const isWeight = modeSelect.value === 'weight';
+            valueInput.min = isWeight ? '0' : '1';
+            valueInput.value = isWeight ? DEFAULT_FILL_TARGET.weight : Math.max(copies.length, DEFAULT_FILL_TARGET.count);
+            unit.textContent = isWeight ? '× share' : 'copies';
+        };
+        modeSelect.addEventListener('change', updateValueInput);
+        updateValueInput();
+        return row;
+    }));
+
+    fillDialog.classList.add('show');
+}
+
+/**
+ * Hide the Auto Fill dialog
+ */
+function hideFillDialog() {
+    const fillDialog = document.getElementById('fill-dialog');
+    if (fillDialog) fillDialog.classList.remove('show');
+}
+
+/**
+ * Fill the sheet with the targets entered in the dialog
+ */
+function startFillFromDialog() {
+    const rows = document.querySelectorAll('#fill-design-list .fill-design-row');
+    const spillCheckbox = document.getElementById('fill-spill-checkbox');
+    const targets = [...rows].map(row => {
+        const mode = row.querySelector('.fill-design-mode').value;
+        const value = parseFloat(row.querySelector('.fill-design-value').value);
+        return mode === 'weight' ? { mode, weight: value } : { mode, count: value };
+    });
+
+    hideFillDialog();
+    fillSheet({ targets, spillOver: Boolean(spillCheckbox && spillCheckbox.checked) });
+}
+
+/**
+ * Short name of a design for lists and reports
+ * @param {fabric.FabricObject} obj
+ * @returns {string}
+ */
+function getDesignLabel(obj) {
+    if (obj.layerName) return obj.layerName;
+    if (obj instanceof fabric.FabricText) {
+        const text = obj.text.replace(/\s+/g, ' ').trim();
+        return `“${text.length > 24 ? `${text.slice(0, 24)}…` : text}”`;
+    }
+    if (isUserGroup(obj)) {
+        const text = obj.getObjects().find(member => member instanceof fabric.FabricText);
+        return text ? `Group ${getDesignLabel(text)}` : 'Group';
+    }
+    return obj instanceof fabric.FabricImage ? 'Image' : 'Symbol';
+}
+
+/**
+ * Small preview image of a design
+ * @param {fabric.FabricObject} obj
+ * @param {number} [size] - Longest side in pixels
+ * @returns {string} PNG data URL
+ */
+function getDesignThumbnail(obj, size = FILL_THUMBNAIL_SIZE) {
+    obj.setCoords();
+    const bounds = obj.getBoundingRect();
+    return obj.toDataURL({ multiplier: size / Math.max(bounds.width, bounds.height, 1) });
+}
+
+/* ============================================
+   TRUE-SHAPE NESTING
+   ============================================ */
+
+/**
+ * Switch Auto Fill between bounding-box packing and nesting designs by their actual shape
+ * @param {boolean} enabled
+ */
+function setNestingMode(enabled) {
+    nestingModeEnabled = enabled;
+    const nestingModeBtn = document.getElementById('nesting-mode-btn');
+    if (nestingModeBtn) nestingModeBtn.classList.toggle('active', nestingModeEnabled);
+}
+
+/**
+ * Nest designs by their actual shape in the nesting worker, following their fill targets. The sheet
+ * is only changed once nesting is done, so cancelling leaves it as it was.
+ * @param {fabric.FabricObject[]} originals - One object per design
+ * @param {{mode: string, count: number, weight: number}[]} targets - See resolveFillTarget
+ * @param {fabric.FabricObject[]} replacedObjects - Previous copies, removed once the new layout is applied
+ * @returns {Promise<{placed: number[], utilization: number}|null>} null when cancelled
+ */
+async function nestDesigns(originals, targets, replacedObjects) {
+    const safeRect = getPlacementSafeRect();
+    const safeWidth = safeRect.right - safeRect.left;
+    const safeHeight = safeRect.bottom - safeRect.top;
+    if (safeWidth <= 0 || safeHeight <= 0) {
+        return { placed: originals.map(() => 0), utilization: 0 };
+    }
+
+    canvas.requestRenderAll();
+    showNestingDialog();
+
+    const cellPixels = Math.max(NESTING_CELL_MM * MM_TO_PIXELS, Math.max(safeWidth, safeHeight) / NESTING_MAX_GRID_SIZE);
+    let nester = null;
+    try {
+        const shapes = originals.map(obj => rasterizeNestingShape(obj, cellPixels));
+
+        // Designs that stay on the sheet (locked ones) are nested around
+        const blockers = getUserObjects()
+            .filter(obj => obj.visible && !originals.includes(obj) && !replacedObjects.includes(obj))
+            .map(obj => {
+                const { width, height, mask, area, centerX, centerY } = rasterizeNestingShape(obj, cellPixels);
+                const center = obj.getCenterPoint();
+                return {
+                    x: Math.round((center.x - safeRect.left) / cellPixels - centerX),
+                    y: Math.round((center.y - safeRect.top) / cellPixels - centerY),
+                    width,
+                    height,
+                    mask,
+                    area
+                };
+            });
+
+        nester = startNestingWorker({
+            gridWidth: Math.floor(safeWidth / cellPixels),
+            gridHeight: Math.floor(safeHeight / cellPixels),
+            shapes: shapes.map(({ width, height, mask, area }, index) => ({
+                width,
+                height,
+                mask,
+                area,
+                rotations: originals[index].allowRotate ? [0, 1, 2, 3] : [0]
+            })),
+            blockers
+        });
+
+        const placements = [];
+        let utilization = 0;
+        const placed = await runFillPlan(targets, async index => {
+            const reply = await nester.place(index);
+            if (!reply) return null;
+
+            utilization = reply.utilization;
+            if (!reply.placement) return false;
+            placements.push(reply.placement);
+            updateNestingProgress({ placed: placements.length, utilization });
+            return true;
+        });
+        if (!placed) return null;
+
+        await applyNestingPlacements(originals, shapes, placements, { safeRect, cellPixels, replacedObjects });
+        return { placed, utilization };
+    } finally {
+        if (nester) nester.stop();
+        hideNestingDialog();
+    }
+}
+
+/**
+ * Render the silhouette of an object (with its outline) onto the nesting grid, grown by half the
+ * placement gutter so neighbouring designs end up at least a gutter apart
+ * @param {fabric.FabricObject} obj
+ * @param {number} cellPixels - Canvas pixels per grid cell
+ * @returns {{width: number, height: number, mask: Uint8Array, area: number, centerX: number, centerY: number}}
+ *   Grid size, mask and covered cells, and the object centre in cells from the mask corner
+ */
+function rasterizeNestingShape(obj, cellPixels) {
+    obj.setCoords();
+    const bounds = getOutlinedBoundingRect(obj);
+    const center = obj.getCenterPoint();
+    const resolution = 1 / cellPixels;
+    const gutterRadius = PLACEMENT_GUTTER / 2 * resolution;
+    const padding = Math.ceil(gutterRadius) + 1;
+
+    const element = document.createElement('canvas');
+    element.width = Math.ceil(bounds.width * resolution) + padding * 2;
+    element.height = Math.ceil(bounds.height * resolution) + padding * 2;
+
+    const ctx = element.getContext('2d', { willReadFrequently: true });
+    ctx.translate(padding, padding);
+    ctx.scale(resolution, resolution);
+    ctx.translate(-bounds.left, -bounds.top);
+    ctx.transform(...obj.calcTransformMatrix());
+    drawObjectOutline(obj, ctx);
+    drawObjectSilhouette(obj, ctx);
+
+    const { width, height } = element;
+    const silhouette = createAlphaMask(ctx.getImageData(0, 0, width, height), NESTING_ALPHA_THRESHOLD);
+    return {
+        width,
+        height,
+        mask: dilateMask(silhouette, width, height, gutterRadius),
+        area: silhouette.reduce((sum, value) => sum + value, 0),
+        centerX: (center.x - bounds.left) * resolution + padding,
+        centerY: (center.y - bounds.top) * resolution + padding
+    };
+}
+
+/**
+ * Start the nesting worker on a sheet grid. Copies are then placed one at a time, so the fill plan
+ * (which design goes next) stays on the main thread.
+ * @param {{gridWidth: number, gridHeight: number, shapes: Object[], blockers: Object[]}} job
+ * @returns {{place: function(number): Promise<Object|null>, stop: function(): void}}
+ *   place resolves with the worker's reply, or null once cancelled
+ */
+function startNestingWorker(job) {
+    const worker = new Worker(NESTING_WORKER_URL);
+    let pending = null; // { resolve, reject } of the copy being placed
+    let failure = null;
+
+    const stop = () => {
+        worker.terminate();
+        activeNestingJob = null;
+    };
+    const settle = (action, value) => {
+        const request = pending;
+        pending = null;
+        if (request) request[action](value);
+    };
+
+    worker.onmessage = ({ data }) => settle('resolve', data);
+    worker.onerror = event => {
+        event.preventDefault();
+        failure = new Error(event.message || 'Nesting worker failed');
+        settle('reject', failure);
+    };
+    worker.postMessage({ type: 'start', ...job }, [...job.shapes, ...job.blockers].map(shape => shape.mask.buffer));
+
+    activeNestingJob = {
+        cancel: () => {
+            stop();
+            settle('resolve', null);
+        }
+    };
+
+    return {
+        place: shape => new Promise((resolve, reject) => {
+            if (failure) {
+                reject(failure);
+                return;
+            }
+            pending = { resolve, reject };
+            worker.postMessage({ type: 'place', shape });
+        }),
+        stop
+    };
+}
+
+/**
+ * Replace the previous copies with the nested layout: move the originals and add the new copies.
+ * Originals that could not be nested are left at the centre of the safe area, like arrangeObjectOnCanvas does.
+ * @param {fabric.FabricObject[]} originals - In the order of the nested shapes
+ * @param {Object[]} shapes - See rasterizeNestingShape
+ * @param {{shape: number, rotation: number, x: number, y: number}[]} placements - Grid cells, quarter turns
+ * @param {{safeRect: Object, cellPixels: number, replacedObjects: fabric.FabricObject[]}} layout
+ */
+async function applyNestingPlacements(originals, shapes, placements, { safeRect, cellPixels, replacedObjects }) {
+    const baseAngles = originals.map(obj => obj.angle);
+    const placedOriginals = new Set();
+
+    replacedObjects.forEach(obj => canvas.remove(obj));
+
+    for (const { shape, rotation, x, y } of placements) {
+        const base = originals[shape];
+        let obj = base;
+        if (placedOriginals.has(base)) {
+            try {
+                obj = await base.clone(SERIALIZED_OBJECT_PROPERTIES);
+            } catch (err) {
+                console.error('Error cloning object during nesting:', err);
+                continue;
+            }
+            canvas.add(obj);
+        } else {
+            placedOriginals.add(base);
+            if (!canvas.contains(base)) canvas.add(base);
+        }
+
+        // The mask centre turns with the mask (clockwise quarter turns)
+        const { width, height, centerX, centerY } = shapes[shape];
+        const turnedCenter = [
+            [centerX, centerY],
+            [height - centerY, centerX],
+            [width - centerX, height - centerY],
+            [centerY, width - centerX]
+        ][rotation];
+
+        obj.rotate((baseAngles[shape] + rotation * 90) % 360);
+        obj.set({
+            left: safeRect.left + (x + turnedCenter[0]) * cellPixels,
+            top: safeRect.top + (y + turnedCenter[1]) * cellPixels,
+            originX: 'center',
+            originY: 'center'
+        });
+        obj.setCoords();
+    }
+
+    originals.filter(obj => !placedOriginals.has(obj)).forEach(obj => {
+        obj.set({
+            left: (safeRect.left + safeRect.right) / 2,
+            top: (safeRect.top + safeRect.bottom) / 2,
+            originX: 'center',
+            originY: 'center'
+        });
+        obj.setCoords();
+    });
+}
+
+/**
+ * Show the nesting progress dialog
+ */
+function showNestingDialog() {
+    const nestingDialog = document.getElementById('nesting-dialog');
+    updateNestingProgress({ placed: 0, utilization: 0 });
+    if (nestingDialog) nestingDialog.classList.add('show');
+}
+
+/**
+ * Hide the nesting progress dialog
+ */
+function hideNestingDialog() {
+    const nestingDialog = document.getElementById('nesting-dialog');
+    if (nestingDialog) nestingDialog.classList.remove('show');
+}
+
+/**
+ * Show how far the nesting worker has got
+ * @param {{placed: number, utilization: number}} progress
+ */
+function updateNestingProgress({ placed, utilization }) {
+    const progressText = document.getElementById('nesting-progress-text');
+    if (!progressText) return;
+
+    progressText.textContent = placed === 0
+        ? 'Tracing design shapes…'
+        : `${placed} design${placed === 1 ? '' : 's'} nested – ${Math.round(utilization * 100)}% of the printable area used`;
+}
+
+/* ============================================
+   MASK OPERATIONS
+   ============================================ */
+
+/**
+ * Grow the inside of a binary mask by a radius (in pixels) using a Euclidean distance transform
+ * @param {Uint8Array} mask
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @returns {Uint8Array} New mask
+ */
+function dilateMask(mask, width, height, radius) {
+    if (radius <= 0) return mask.slice();
+
+    const distances = squaredDistanceTransform(mask, width, height);
+    const limit = radius * radius;
+    const result = new Uint8Array(mask.length);
+    for (let i = 0; i < mask.length; i++) {
+        result[i] = distances[i] <= limit ? 1 : 0;
+    }
+    return result;
+}
+
+/**
+ * Squared Euclidean distance from every pixel to the nearest inside pixel of a mask
+ * (Felzenszwalb & Huttenlocher: a 1D lower envelope pass over columns, then rows)
+ * @returns {Float64Array}
+ */
+function squaredDistanceTransform(mask, width, height) {
+    const INF = 1e20;
+    const grid = new Float64Array(width * height);
+    for (let i = 0; i < grid.length; i++) {
+        grid[i] = mask[i] ? 0 : INF;
+    }
+
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    const transform1D = (n) => {
+        let k = 0;
+        v[0] = 0;
+        z[0] = -INF;
+        z[1] = INF;
+        for (let q = 1; q < n; q++) {
+            let s;
+            do {
+                s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            } while (s <= z[k] && --k >= 0);
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = INF;
+        }
+        k = 0;
+        for (let q = 0; q < n; q++) {
+            while (z[k + 1] < q) k++;
+            d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+        transform1D(height);
+        for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) f[x] = grid[row + x];
+        transform1D(width);
+        for (let x = 0; x < width; x++) grid[row + x] = d[x];
+    }
+    return grid;
+}
+
+/**
+ * Fill every hole of a mask (outside pixels not connected to the border), in place
+ * @param {Uint8Array} mask
+ * @param {number} width
+ * @param {number} height
+ */
+function fillMaskHoles(mask, width, height) {
+    const outside = new Uint8Array(mask.length);
+    const stack = [];
+    const visit = (index) => {
+        if (!mask[index] && !outside[index]) {
+            outside[index] = 1;
+            stack.push(index);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+
+    while (stack.length) {
+        const index = stack.pop();
+        const x = index % width;
+        if (x > 0) visit(index - 1);
+        if (x < width - 1) visit(index + 1);
+        if (index >= width) visit(index - width);
+        if (index < mask.length - width) visit(index + width);
+    }
+
+    for (let i = 0; i < mask.length; i++) {
+        if (!outside[i]) mask[i] = 1;
+    }
+}
+
+/**
+ * Remove specks from a binary mask: inside areas smaller than minArea pixels are cleared and
+ * holes smaller than that are filled (4-connected components)
+ * @param {Uint8Array} mask - Modified in place
+ * @param {number} width
+ * @param {number} height
+ * @param {number} minArea
+ */
+function removeMaskSpeckles(mask, width, height, minArea) {
+    if (minArea <= 0) return;
+
+    const visited = new Uint8Array(mask.length);
+    const component = new Int32Array(mask.length);
+    for (let start = 0; start < mask.length; start++) {
+        if (visited[start]) continue;
+
+        const value = mask[start];
+        let size = 0;
+        let touchesEdge = false;
+        visited[start] = 1;
+        component[size++] = start;
+        for (let next = 0; next < size; next++) {
+            const i = component[next];
+            const x = i % width;
+            const y = (i - x) / width;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+
+            const neighbours = [
+                x > 0 ? i - 1 : -1,
+                x < width - 1 ? i + 1 : -1,
+                y > 0 ? i - width : -1,
+                y < height - 1 ? i + width : -1
+            ];
+            neighbours.forEach(neighbour => {
+                if (neighbour >= 0 && !visited[neighbour] && mask[neighbour] === value) {
+                    visited[neighbour] = 1;
+                    component[size++] = neighbour;
+                }
+            });
+        }
+
+        // The background around the artwork is not a hole
+        if (size < minArea && (value === 1 || !touchesEdge)) {
+            for (let k = 0; k < size; k++) {
+                mask[component[k]] = 1 - value;
+            }
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * LikeInk Designer - True-shape nesting worker
+ * Packs design silhouettes on a grid of the sheet's safe area, so irregular designs interlock
+ * instead of being placed by their bounding boxes. Runs off the main thread; the designer decides
+ * which design goes next (see runFillPlan) and terminates the worker to cancel.
+ *
+ * Messages in:
+ *   { type: 'start', gridWidth, gridHeight, shapes: [{ width, height, mask, area, rotations }], blockers }
+ *     mask - width * height cells, 1 where the design (grown by half the gutter) covers the cell
+ *     area - cells covered by the design itself, used for the utilization
+ *     rotations - quarter turns (clockwise) the design may be placed at, e.g. [0] or [0, 1, 2, 3]
+ *     blockers - [{ x, y, width, height, mask, area }] designs that stay where they are (x, y: grid cell
+ *       of the mask corner, may lie partly off the grid)
+ *   { type: 'place', shape } - place one more copy of a shape
+ * Messages out (one per 'place'):
+ *   { type: 'placed', placement: { shape, rotation, x, y } | null, utilization }
+ */
+
+let nestingJob = null; // Sheet grid and shape variants of the current job
+
+self.onmessage = function (event) {
+    const { type, ...message } = event.data;
+    if (type === 'start') {
+        nestingJob = createNestingJob(message);
+    } else if (type === 'place') {
+        const placement = placeShape(nestingJob, message.shape);
+        self.postMessage({ type: 'placed', placement, utilization: nestingJob.placedArea / nestingJob.sheet.occupied.length });
+    }
+};
+
+/**
+ * Empty sheet grid plus every allowed rotation of every shape
+ */
+function createNestingJob({ gridWidth, gridHeight, shapes, blockers = [] }) {
+    const sheet = createSheetGrid(gridWidth, gridHeight);
+    blockers.forEach(blocker => occupyBlocker(sheet, blocker));
+    return {
+        sheet,
+        // Shapes without area would fit everywhere, forever
+        variants: shapes.map(shape => (shape.area > 0 ? shape.rotations : []).map(rotation => createVariant(shape, rotation))),
+        shapes,
+        // Designs that stay on the sheet count towards its use
+        placedArea: blockers.reduce((sum, blocker) => sum + blocker.area, 0)
+    };
+}
+
+/**
+ * Place a copy of a shape at the best free position, if any
+ * @returns {{shape: number, rotation: number, x: number, y: number}|null}
+ */
+function placeShape(job, index) {
+    const placement = findBestPlacement(job.sheet, job.variants[index] || []);
+    if (!placement) return null;
+
+    occupyCells(job.sheet, placement.variant, placement.x, placement.y);
+    job.placedArea += job.shapes[index].area;
+    return { shape: index, rotation: placement.variant.rotation, x: placement.x, y: placement.y };
+}
+
+/**
+ * Occupancy grid with, for every cell, the number of free cells from it to the right
+ * (0 for occupied cells), which lets a collision check skip straight past obstacles
+ */
+function createSheetGrid(width, height) {
+    const freeRun = new Int32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            freeRun[y * width + x] = width - x;
+        }
+    }
+    return { width, height, occupied: new Uint8Array(width * height), freeRun };
+}
+
+/**
+ * A shape turned by a number of quarter turns, stored as horizontal runs of covered cells per row
+ */
+function createVariant(shape, rotation) {
+    const { mask, width, height } = rotateMask(shape.mask, shape.width, shape.height, rotation);
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const runs = [];
+        let x = 0;
+        while (x < width) {
+            if (!mask[y * width + x]) {
+                x++;
+                continue;
+            }
+            const start = x;
+            while (x < width && mask[y * width + x]) x++;
+            runs.push([start, x - start]);
+        }
+        rows.push(runs);
+    }
+    return { rotation, width, height, rows, startY: 0 };
+}
+
+/**
+ * Turn a mask clockwise by a number of quarter turns
+ */
+function rotateMask(mask, width, height, rotation) {
+    if (rotation % 4 === 0) return { mask, width, height };
+
+    const turned = rotation % 2 === 1;
+    const newWidth = turned ? height : width;
+    const newHeight = turned ? width : height;
+    const result = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let newX;
+            let newY;
+            if (rotation % 4 === 1) {
+                newX = height - 1 - y;
+                newY = x;
+            } else if (rotation % 4 === 2) {
+                newX = width - 1 - x;
+                newY = height - 1 - y;
+            } else {
+                newX = y;
+                newY = width - 1 - x;
+            }
+            result[newY * newWidth + newX] = mask[y * width + x];
+        }
+    }
+    return { mask: result, width: newWidth, height: newHeight };
+}
+
+/**
+ * Top-most, then left-most position any rotation of a shape fits at
+ */
+function findBestPlacement(sheet, shapeVariants) {
+    let best = null;
+    shapeVariants.forEach(variant => {
+        const position = findFirstFit(sheet, variant);
+        if (position && (!best || position.y < best.y || (position.y === best.y && position.x < best.x))) {
+            best = { variant, ...position };
+        }
+    });
+    return best;
+}
+
+/**
+ * First position (row by row) where a shape variant fits. The sheet only fills up, so rows
+ * that did not fit before are skipped on the next search.
+ */
+function findFirstFit(sheet, variant) {
+    for (let y = variant.startY; y + variant.height <= sheet.height; y++) {
+        let x = 0;
+        while (x + variant.width <= sheet.width) {
+            const skip = getCollisionSkip(sheet, variant, x, y);
+            if (skip === 0) {
+                variant.startY = y;
+                return { x, y };
+            }
+            x += skip;
+        }
+    }
+    variant.startY = sheet.height;
+    return null;
+}
+
+/**
+ * 0 if the variant fits at (x, y), otherwise how far it must move right to clear the obstacle found
+ */
+function getCollisionSkip(sheet, variant, x, y) {
+    for (let row = 0; row < variant.rows.length; row++) {
+        const rowOffset = (y + row) * sheet.width + x;
+        for (const [start, length] of variant.rows[row]) {
+            const free = sheet.freeRun[rowOffset + start];
+            if (free < length) return free + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Mark the cells of a placed variant as occupied and update the free runs of its rows
+ */
+function occupyCells(sheet, variant, x, y) {
+    const { width, occupied } = sheet;
+    variant.rows.forEach((runs, row) => {
+        if (runs.length === 0) return;
+
+        const rowStart = (y + row) * width;
+        runs.forEach(([start, length]) => {
+            occupied.fill(1, rowStart + x + start, rowStart + x + start + length);
+        });
+        updateFreeRuns(sheet, y + row);
+    });
+}
+
+/**
+ * Mark the cells of a design that stays on the sheet as occupied, clipped to the grid
+ */
+function occupyBlocker(sheet, { x, y, width, height, mask }) {
+    for (let row = Math.max(0, -y); row < height && y + row < sheet.height; row++) {
+        const rowStart = (y + row) * sheet.width;
+        let touched = false;
+        for (let column = Math.max(0, -x); column < width && x + column < sheet.width; column++) {
+            if (mask[row * width + column]) {
+                sheet.occupied[rowStart + x + column] = 1;
+                touched = true;
+            }
+        }
+        if (touched) updateFreeRuns(sheet, y + row);
+    }
+}
+
+/**
+ * Recount the free cells to the right of every cell of a row
+ */
+function updateFreeRuns(sheet, y) {
+    const { width, occupied, freeRun } = sheet;
+    const rowStart = y * width;
+    let run = 0;
+    for (let cell = width - 1; cell >= 0; cell--) {
+        run = occupied[rowStart + cell] ? 0 : run + 1;
+        freeRun[rowStart + cell] = run;
+    }
+}